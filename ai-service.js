@@ -1,13 +1,94 @@
 // AI Service Layer for FakeBrowser
-// Uses OpenRouter API with IndexedDB for storage
+// Talks to the configured LLM provider (see providers.js) with IndexedDB for storage
+
+// Identifies world archive files; bump the version when the layout changes
+const WORLD_ARCHIVE_FORMAT = 'fakebrowser-world';
+const WORLD_ARCHIVE_VERSION = 1;
+
+// Share of the spending budget after which the browser starts warning
+const BUDGET_WARNING_RATIO = 0.8;
+
+// How long to wait before asking again for pricing that failed to load
+const PRICING_RETRY_MS = 60000;
+
+// Backoff between retries doubles from the base delay. A model that asks us
+// to wait longer than the maximum is given up on in favor of the next one.
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+// Continuation requests for a page that was cut off before it is repaired as is
+const MAX_PAGE_CONTINUATIONS = 2;
+
+// The built-in prompt profile, which uses the prompts from system-prompt.js
+// until it is edited. Pages generated with it have no cache variant.
+const DEFAULT_PROFILE_ID = 'default';
+
+// Devices pages can be generated for. width and height are the viewport in
+// CSS pixels, in the device's usual orientation; desktop fills the window.
+// The phone uses the prompt profile's mobile addendum and the others their
+// addendum from DEVICE_PROMPT_ADDENDA.
+const DEVICE_PROFILES = {
+    desktop: { name: 'Desktop', icon: '🖥️', width: null, height: null },
+    phone: { name: 'Phone', icon: '📱', width: 390, height: 844 },
+    tablet: { name: 'Tablet', icon: '📋', width: 820, height: 1180 },
+    ereader: { name: 'E-reader', icon: '📖', width: 632, height: 840 },
+    terminal: { name: 'Text terminal', icon: '⌨️', width: 800, height: 480 },
+    tv: { name: 'Smart TV', icon: '📺', width: 1920, height: 1080 }
+};
+
+// Years that era mode can go back to; the first website went up in 1991
+const MIN_ERA_YEAR = 1991;
+
+// What each content policy blocks on top of the user's own blocklists.
+// Keywords match whole words in URLs and page text; the few in
+// POLICY_EMBEDDED_KEYWORDS also match the start or end of a domain name's
+// parts. Domains also block their subdomains.
+const SFW_BLOCKLIST = {
+    domains: ['pornhub.com', 'xvideos.com', 'xhamster.com', 'xnxx.com', 'redtube.com', 'youporn.com', 'onlyfans.com', 'chaturbate.com'],
+    keywords: ['porn', 'porno', 'xxx', 'nsfw', 'hentai', 'nude', 'nudes', 'naked', 'sex', 'sexy', 'erotic', 'fetish', 'camgirl', 'escort', 'escorts', 'milf', 'boobs', 'gore']
+};
+
+const CONTENT_POLICIES = {
+    unrestricted: { name: 'Unrestricted', domains: [], keywords: [] },
+    sfw: { name: 'Safe for work', ...SFW_BLOCKLIST },
+    kids: {
+        name: 'Kids',
+        domains: [...SFW_BLOCKLIST.domains, '4chan.org', 'bet365.com', 'pokerstars.com', 'draftkings.com', 'tinder.com', 'match.com'],
+        keywords: [...SFW_BLOCKLIST.keywords, 'casino', 'casinos', 'gambling', 'betting', 'poker', 'cocaine', 'heroin', 'methamphetamine',
+            'marijuana', 'cannabis', 'vape', 'vaping', 'alcohol', 'vodka', 'whiskey', 'cigarettes', 'dating', 'hookup', 'murder',
+            'suicide', 'torture', 'horror', 'killing', 'guns', 'firearms']
+    }
+};
+
+// Keywords that domain names often run together with other words ("porn"
+// blocks pornhub.com). Others only match whole words, as most are the start
+// or end of harmless names too ("gore" in gorenje.com, "dating" in updating.com).
+const POLICY_EMBEDDED_KEYWORDS = ['porn', 'porno', 'xxx', 'hentai', 'nsfw', 'camgirl', 'casino'];
+
+// A page is blocked when its title contains a blocked keyword, or its text
+// does this many times; one passing mention in an article is let through
+const POLICY_TEXT_MATCH_LIMIT = 3;
+
+// Elements that never have a closing tag
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+
+// Thrown for a page or request that the content policy blocks
+class ContentPolicyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ContentPolicyError';
+    }
+}
 
 class AIService {
     constructor() {
         this.dbName = 'FakeBrowserDB';
-        this.dbVersion = 1;
+        this.dbVersion = 6;
         this.db = null;
         this.settings = null;
-        this.initPromise = this.initDB();
+        // Usage since this start counts as the current session
+        this.sessionStart = Date.now();
+        this.initPromise = null;
     }
 
     async initDB() {
@@ -34,11 +115,41 @@ class AIService {
                     const cacheStore = db.createObjectStore('pageCache', { keyPath: 'url' });
                     cacheStore.createIndex('timestamp', 'timestamp', { unique: false });
                 }
+
+                // Per-domain site identity store
+                if (!db.objectStoreNames.contains('siteBibles')) {
+                    db.createObjectStore('siteBibles', { keyPath: 'domain' });
+                }
+
+                // Global browsing history store
+                if (!db.objectStoreNames.contains('history')) {
+                    const historyStore = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+                    historyStore.createIndex('timestamp', 'timestamp', { unique: false });
+                }
+
+                // Bookmarks and bookmark folders
+                if (!db.objectStoreNames.contains('bookmarks')) {
+                    const bookmarkStore = db.createObjectStore('bookmarks', { keyPath: 'id', autoIncrement: true });
+                    bookmarkStore.createIndex('url', 'url', { unique: false });
+                }
+
+                // Named system prompts
+                if (!db.objectStoreNames.contains('promptProfiles')) {
+                    db.createObjectStore('promptProfiles', { keyPath: 'id' });
+                }
+
+                // Token usage and cost of every model request
+                if (!db.objectStoreNames.contains('usage')) {
+                    const usageStore = db.createObjectStore('usage', { keyPath: 'id', autoIncrement: true });
+                    usageStore.createIndex('timestamp', 'timestamp', { unique: false });
+                }
             };
         });
     }
 
+    // The database is opened on first use
     async ensureDB() {
+        this.initPromise = this.initPromise || this.initDB();
         await this.initPromise;
     }
 
@@ -51,15 +162,16 @@ class AIService {
             const request = store.get('config');
 
             request.onsuccess = () => {
-                if (request.result) {
-                    this.settings = request.result.value;
-                } else {
-                    this.settings = {
-                        apiKey: '',
-                        model: '',
-                        mobileMode: false
-                    };
+                // Merge over defaults so settings saved by older versions pick up new options
+                const stored = request.result ? request.result.value : {};
+                this.settings = { ...this.getDefaultSettings(), ...stored };
+
+                // The mobile mode toggle became the phone device profile
+                if (stored.device === undefined && stored.mobileMode) {
+                    this.settings.device = 'phone';
                 }
+                delete this.settings.mobileMode;
+
                 resolve(this.settings);
             };
 
@@ -67,6 +179,51 @@ class AIService {
         });
     }
 
+    getDefaultSettings() {
+        return {
+            provider: 'openrouter',
+            baseUrl: '',
+            authScheme: '',
+            modelsPath: '',
+            apiKey: '',
+            model: '',
+            // Tried in order when the model above fails
+            fallbackModels: [],
+            // Retries per model for rate limits, overloads and server errors
+            maxRetries: 2,
+            // Prompt profile for every site, and per-domain exceptions ({ domain: id })
+            activeProfileId: DEFAULT_PROFILE_ID,
+            profileOverrides: {},
+            // Year new tabs browse the web as of; null is the present day
+            era: null,
+            // Content policy (see CONTENT_POLICIES) and the user's own
+            // blocklists, which apply under every policy. policyLock is
+            // { salt, hash } of the passcode that guards them, or null.
+            contentPolicy: 'unrestricted',
+            blockedDomains: [],
+            blockedKeywords: [],
+            policyLock: null,
+            // Device pages are generated for (see DEVICE_PROFILES), and how
+            // its screen is shown: rotated, and zoomed to 'fit' or a percentage
+            device: 'desktop',
+            deviceLandscape: false,
+            deviceZoom: 'fit',
+            streaming: true,
+            cacheLimitMB: 50,
+            imageEndpoint: '',
+            // Spending budget in dollars per budgetPeriod ('day' or 'month'); 0 means none
+            budgetUSD: 0,
+            budgetPeriod: 'month',
+            // Background generation of likely next links (see prefetcher.js):
+            // pages generated at once, pages per site and dollars per session,
+            // where 0 dollars means only the budget applies
+            prefetch: false,
+            prefetchConcurrency: 2,
+            prefetchPerDomain: 10,
+            prefetchSpendUSD: 0.25
+        };
+    }
+
     async saveSettings(settings) {
         await this.ensureDB();
         this.settings = settings;
@@ -88,62 +245,398 @@ class AIService {
         return this.settings;
     }
 
+    // Session Methods
+    // The open tabs are kept in the settings store under their own key
+    async loadSession() {
+        await this.ensureDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['settings'], 'readonly');
+            const store = transaction.objectStore('settings');
+            const request = store.get('session');
+
+            request.onsuccess = () => resolve(request.result ? request.result.value : null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async saveSession(session) {
+        await this.ensureDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['settings'], 'readwrite');
+            const store = transaction.objectStore('settings');
+            const request = store.put({ key: 'session', value: session });
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getProvider() {
+        return createProvider(await this.getSettings());
+    }
+
     async isConfigured() {
         const settings = await this.getSettings();
-        return settings.apiKey && settings.apiKey.length > 0;
+        const provider = createProvider(settings);
+        return !provider.requiresKey || Boolean(settings.apiKey);
     }
 
     // Page Cache Methods
-    async getCachedPage(url) {
+    // GET pages are keyed by URL alone; POST results also key on the
+    // submitted fields so they never collide with the page at the same URL.
+    // Pages generated under a variant (see getPageContext) are kept apart
+    // from the same page generated under the defaults.
+    getCacheKey(url, formRequest = null, variant = '') {
+        const key = !formRequest || formRequest.method !== 'POST'
+            ? url
+            : `POST ${url} ${new URLSearchParams(formRequest.body).toString()}`;
+        return variant ? `${key} | ${variant}` : key;
+    }
+
+    async getCachedPage(url, formRequest = null, variant = '') {
+        const entry = await this.getCachedEntry(url, formRequest, variant);
+        return entry ? entry.html : null;
+    }
+
+    // The full cache record: { url, pageUrl, method, variant, versions,
+    // canonicalId, html, model, timestamp, lastAccessed, size }. Each
+    // regeneration adds a version { id, html, model, profileId, timestamp,
+    // size }; html, model and timestamp mirror the canonical one, which is
+    // what navigation shows, and size is the total of all versions. Reading
+    // a page marks it as recently used.
+    async getCachedEntry(url, formRequest = null, variant = '') {
+        return this.getCacheRecord(this.getCacheKey(url, formRequest, variant));
+    }
+
+    // The record at a cache key, as getCachedEntry
+    async getCacheRecord(key) {
         await this.ensureDB();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['pageCache'], 'readonly');
+            const transaction = this.db.transaction(['pageCache'], 'readwrite');
+            const store = transaction.objectStore('pageCache');
+            const request = store.get(key);
+
+            request.onsuccess = () => {
+                const entry = request.result || null;
+                if (entry) {
+                    entry.lastAccessed = Date.now();
+                    store.put(entry);
+                }
+                resolve(entry);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Stores a page as a new version, which becomes the canonical one, then
+    // evicts least recently used pages if the cache is over its size limit.
+    // generation is { model, profileId, usage, repaired } as passed to
+    // generatePage's onResult; without it the page is credited to the
+    // selected model. variant is the page context's.
+    // Resolves with the URLs of evicted pages.
+    async cachePage(url, html, formRequest = null, generation = null, variant = '') {
+        const key = this.getCacheKey(url, formRequest, variant);
+        await this.addCacheVersion(key, {
+            pageUrl: url,
+            method: formRequest ? formRequest.method : 'GET',
+            ...(variant && { variant })
+        }, html, generation);
+
+        return this.enforceCacheLimit(key);
+    }
+
+    // Adds html as the canonical version of the record at key, creating it
+    // from fields if needed
+    async addCacheVersion(key, fields, html, generation = null) {
+        await this.ensureDB();
+        const settings = await this.getSettings();
+        const now = Date.now();
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['pageCache'], 'readwrite');
+            const store = transaction.objectStore('pageCache');
+            const request = store.get(key);
+
+            request.onsuccess = () => {
+                const versions = request.result ? this.getEntryVersions(request.result) : [];
+                const id = versions.reduce((max, v) => Math.max(max, v.id), 0) + 1;
+                const version = { id, html, model: generation?.model || settings.model, timestamp: now, size: this.getPageSize(html) };
+                if (generation?.profileId) {
+                    version.profileId = generation.profileId;
+                }
+                const usage = generation?.usage;
+                if (usage) {
+                    version.usage = { inputTokens: usage.inputTokens, outputTokens: usage.outputTokens, cost: usage.cost };
+                }
+                // The page was cut off and had to be closed up
+                if (generation?.repaired) {
+                    version.repaired = true;
+                }
+                versions.push(version);
+
+                store.put(this.withCanonicalVersion({
+                    url: key,
+                    ...fields,
+                    versions: versions,
+                    lastAccessed: now
+                }, id));
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Simulated API Responses
+    // fetch and XMLHttpRequest calls from generated pages are answered by the
+    // model and cached next to the pages, so the same call gets the same
+    // answer. Records have kind 'api', the response status and contentType,
+    // and hold the response body where pages hold their HTML.
+    // variant is that of the page making the request
+    getApiCacheKey(request, variant = '') {
+        const key = `API ${request.method} ${request.url}${request.body ? ' ' + request.body : ''}`;
+        return variant ? `${key} | ${variant}` : key;
+    }
+
+    // Resolves with { status, contentType, body }, or null if not cached
+    async getCachedApiResponse(request, variant = '') {
+        const entry = await this.getCacheRecord(this.getApiCacheKey(request, variant));
+        return entry ? { status: entry.status, contentType: entry.contentType, body: entry.html } : null;
+    }
+
+    // response is from generateApiResponse
+    async cacheApiResponse(request, response, variant = '') {
+        const key = this.getApiCacheKey(request, variant);
+        await this.addCacheVersion(key, {
+            pageUrl: request.url,
+            method: request.method,
+            ...(variant && { variant }),
+            kind: 'api',
+            status: response.status,
+            contentType: response.contentType
+        }, response.body, { model: response.model, usage: response.usage });
+
+        return this.enforceCacheLimit(key);
+    }
+
+    // Versions of a cached page, oldest first. Records cached before pages
+    // had versions hold their only version in the top-level fields.
+    getEntryVersions(entry) {
+        return entry.versions || [{ id: 1, html: entry.html, model: entry.model, timestamp: entry.timestamp }];
+    }
+
+    getCanonicalVersionId(entry) {
+        const versions = this.getEntryVersions(entry);
+        return entry.canonicalId ?? versions[versions.length - 1].id;
+    }
+
+    // Points the record's top-level fields at version id and recomputes its size
+    withCanonicalVersion(entry, id) {
+        const versions = this.getEntryVersions(entry);
+        const canonical = versions.find(v => v.id === id) || versions[versions.length - 1];
+
+        entry.versions = versions;
+        entry.canonicalId = canonical.id;
+        entry.html = canonical.html;
+        entry.model = canonical.model;
+        entry.timestamp = canonical.timestamp;
+        entry.size = versions.reduce((sum, v) => sum + (v.size ?? this.getPageSize(v.html)), 0);
+        return entry;
+    }
+
+    // Changes a cached record in one transaction. update(entry) returns
+    // false to delete the record instead. Resolves with the updated record,
+    // or null if it was deleted or not found.
+    async updateCacheEntry(key, update) {
+        await this.ensureDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['pageCache'], 'readwrite');
             const store = transaction.objectStore('pageCache');
-            const request = store.get(url);
+            const request = store.get(key);
+            let result = null;
 
             request.onsuccess = () => {
-                if (request.result) {
-                    resolve(request.result.html);
+                const entry = request.result;
+                if (!entry) return;
+
+                if (update(entry) === false) {
+                    store.delete(key);
                 } else {
-                    resolve(null);
+                    store.put(entry);
+                    result = entry;
                 }
             };
 
-            request.onerror = () => reject(request.error);
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Makes version id the one navigation shows for this cache key
+    async setCanonicalVersion(key, id) {
+        return this.updateCacheEntry(key, entry => {
+            this.withCanonicalVersion(entry, id);
+        });
+    }
+
+    // Deletes one version; the newest remaining one becomes canonical if the
+    // canonical version was deleted, and the record goes with its last version
+    async deleteCacheVersion(key, id) {
+        return this.updateCacheEntry(key, entry => {
+            const versions = this.getEntryVersions(entry).filter(v => v.id !== id);
+            if (versions.length === 0) return false;
+
+            const canonicalId = this.getCanonicalVersionId(entry);
+            entry.versions = versions;
+            this.withCanonicalVersion(entry, canonicalId === id ? versions[versions.length - 1].id : canonicalId);
+        });
+    }
+
+    // Keeps only the canonical version of one page, or of every page when
+    // key is null
+    async pruneCacheVersions(key = null) {
+        const prune = (entry) => {
+            const canonicalId = this.getCanonicalVersionId(entry);
+            entry.versions = this.getEntryVersions(entry).filter(v => v.id === canonicalId);
+            this.withCanonicalVersion(entry, canonicalId);
+        };
+
+        if (key !== null) {
+            return this.updateCacheEntry(key, prune);
+        }
+
+        await this.ensureDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['pageCache'], 'readwrite');
+            const store = transaction.objectStore('pageCache');
+            const request = store.openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    if (this.getEntryVersions(cursor.value).length > 1) {
+                        const entry = cursor.value;
+                        prune(entry);
+                        cursor.update(entry);
+                    }
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = () => resolve(null);
+            transaction.onerror = () => reject(transaction.error);
         });
     }
 
-    async cachePage(url, html) {
+    // Size in bytes. Entries cached by older versions have no size field.
+    getPageSize(html) {
+        return new Blob([html]).size;
+    }
+
+    getEntrySize(entry) {
+        return entry.size ?? this.getPageSize(entry.html);
+    }
+
+    getEntryLastAccessed(entry) {
+        return entry.lastAccessed || entry.timestamp;
+    }
+
+    // Deletes least recently used pages until the cache fits in
+    // settings.cacheLimitMB (0 means no limit). keepKey is never evicted, so
+    // a page larger than the limit still stays cached until the next one.
+    async enforceCacheLimit(keepKey = null) {
+        const settings = await this.getSettings();
+        const limit = settings.cacheLimitMB * 1024 * 1024;
+        if (!limit) return [];
+
+        const entries = await this.getCacheEntries();
+        let total = entries.reduce((sum, entry) => sum + this.getEntrySize(entry), 0);
+        if (total <= limit) return [];
+
+        entries.sort((a, b) => this.getEntryLastAccessed(a) - this.getEntryLastAccessed(b));
+
+        const evicted = [];
+        for (const entry of entries) {
+            if (total <= limit) break;
+            if (entry.url === keepKey) continue;
+
+            await this.deleteCacheEntry(entry.url);
+            total -= this.getEntrySize(entry);
+            evicted.push(entry.pageUrl || entry.url);
+        }
+        return evicted;
+    }
+
+    async clearCachedPage(url, formRequest = null, variant = '') {
         await this.ensureDB();
 
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction(['pageCache'], 'readwrite');
             const store = transaction.objectStore('pageCache');
-            const request = store.put({
-                url: url,
-                html: html,
-                timestamp: Date.now()
-            });
+            const request = store.delete(this.getCacheKey(url, formRequest, variant));
 
             request.onsuccess = () => resolve();
             request.onerror = () => reject(request.error);
         });
     }
 
-    async clearCachedPage(url) {
+    // Every cache record, newest first
+    async getCacheEntries() {
+        await this.ensureDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['pageCache'], 'readonly');
+            const store = transaction.objectStore('pageCache');
+            const request = store.index('timestamp').getAll();
+
+            request.onsuccess = () => resolve(request.result.reverse());
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Deletes a record by its cache key, as listed by getCacheEntries
+    async deleteCacheEntry(key) {
         await this.ensureDB();
 
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction(['pageCache'], 'readwrite');
             const store = transaction.objectStore('pageCache');
-            const request = store.delete(url);
+            const request = store.delete(key);
 
             request.onsuccess = () => resolve();
             request.onerror = () => reject(request.error);
         });
     }
 
+    // Deletes every cached page of a domain, as grouped by getSiteDomain
+    async deleteCacheDomain(domain) {
+        await this.ensureDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['pageCache'], 'readwrite');
+            const store = transaction.objectStore('pageCache');
+            const request = store.openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    if (this.getSiteDomain(cursor.value.pageUrl || cursor.value.url) === domain) {
+                        cursor.delete();
+                    }
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
     async clearAllCache() {
         await this.ensureDB();
 
@@ -157,124 +650,1257 @@ class AIService {
         });
     }
 
-    async generatePage(url) {
-        const settings = await this.getSettings();
+    // World Archive Methods
+    // A world is a set of generated sites in one JSON file - see "World
+    // archives" in the README for the layout.
+    async exportWorld(domains = null) {
+        const entries = (await this.getCacheEntries())
+            .filter(entry => !domains || domains.includes(this.getSiteDomain(entry.pageUrl || entry.url)));
 
-        if (!settings.apiKey) {
-            throw new Error('API key not configured. Please open settings and enter your OpenRouter API key.');
-        }
+        const pageDomains = [...new Set(entries.map(entry => this.getSiteDomain(entry.pageUrl || entry.url)).filter(Boolean))];
+        const bibles = (await Promise.all(pageDomains.map(domain => this.getSiteBible(domain)))).filter(Boolean);
+
+        return {
+            format: WORLD_ARCHIVE_FORMAT,
+            version: WORLD_ARCHIVE_VERSION,
+            exportedAt: new Date().toISOString(),
+            domains: pageDomains.sort(),
+            pages: entries.map(entry => ({
+                key: entry.url,
+                url: entry.pageUrl || entry.url,
+                method: entry.method || 'GET',
+                ...(entry.variant && { variant: entry.variant }),
+                ...(entry.kind === 'api' && { kind: 'api', status: entry.status, contentType: entry.contentType }),
+                title: entry.kind === 'api' ? '' : this.getPageTitle(entry.html),
+                canonicalId: this.getCanonicalVersionId(entry),
+                versions: this.getEntryVersions(entry).map(v => ({
+                    id: v.id,
+                    model: v.model,
+                    timestamp: v.timestamp,
+                    ...(v.profileId && { profileId: v.profileId }),
+                    ...(v.usage && { usage: v.usage }),
+                    ...(v.repaired && { repaired: true }),
+                    html: v.html
+                }))
+            })),
+            siteBibles: bibles
+        };
+    }
 
-        const userMessage = `Generate an HTML page for the following URL: ${url}`;
+    getPageTitle(html) {
+        const match = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+        return match ? match[1].trim() : '';
+    }
 
-        // Build system prompt - append mobile addendum if mobile mode is enabled
-        let systemPrompt = SYSTEM_PROMPT;
-        if (settings.mobileMode && typeof MOBILE_PROMPT_ADDENDUM !== 'undefined') {
-            systemPrompt += MOBILE_PROMPT_ADDENDUM;
+    // Merges an archive from exportWorld into the cache. onConflict says what
+    // to do with pages already cached: 'skip', 'overwrite', or 'versions' to
+    // add the imported versions alongside the existing ones. Site bibles are
+    // only replaced when overwriting. Resolves with counts of what happened.
+    async importWorld(archive, onConflict = 'skip') {
+        if (!archive || archive.format !== WORLD_ARCHIVE_FORMAT || !Array.isArray(archive.pages)) {
+            throw new Error('This file is not a FakeBrowser world archive');
+        }
+        if (archive.version > WORLD_ARCHIVE_VERSION) {
+            throw new Error('This world archive was made by a newer version of FakeBrowser');
         }
 
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${settings.apiKey}`,
-                'HTTP-Referer': window.location.origin,
-                'X-Title': 'FakeBrowser'
-            },
-            body: JSON.stringify({
-                model: settings.model,
-                max_tokens: 16000,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userMessage }
-                ]
-            })
-        });
+        await this.ensureDB();
+        const result = { added: 0, skipped: 0, overwritten: 0, merged: 0 };
+        const now = Date.now();
 
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({}));
-            throw new Error(error.error?.message || `API error: ${response.status}`);
-        }
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['pageCache', 'siteBibles'], 'readwrite');
+            const pageStore = transaction.objectStore('pageCache');
+            const bibleStore = transaction.objectStore('siteBibles');
 
-        const data = await response.json();
+            for (const page of archive.pages) {
+                const versions = (page.versions || [])
+                    .filter(v => typeof v.html === 'string')
+                    .map(v => ({
+                        id: Number(v.id),
+                        html: v.html,
+                        model: v.model || '',
+                        timestamp: Number(v.timestamp) || now,
+                        size: this.getPageSize(v.html),
+                        ...(v.profileId && { profileId: String(v.profileId) }),
+                        ...(v.repaired && { repaired: true }),
+                        ...(v.usage && {
+                            usage: {
+                                inputTokens: Number(v.usage.inputTokens) || 0,
+                                outputTokens: Number(v.usage.outputTokens) || 0,
+                                cost: v.usage.cost === null || v.usage.cost === undefined ? null : Number(v.usage.cost) || 0
+                            }
+                        })
+                    }));
+                if (!page.url || versions.length === 0) continue;
 
-        if (!data.choices || !data.choices[0]) {
-            throw new Error('No response from AI');
-        }
+                const key = page.key || page.url;
+                const imported = {
+                    url: key,
+                    pageUrl: page.url,
+                    method: page.method || 'GET',
+                    versions: versions,
+                    lastAccessed: now
+                };
+                if (page.variant) {
+                    imported.variant = String(page.variant);
+                }
+                if (page.kind === 'api') {
+                    Object.assign(imported, { kind: 'api', status: Number(page.status) || 200, contentType: String(page.contentType || 'text/plain') });
+                }
+
+                const request = pageStore.get(key);
+                request.onsuccess = () => {
+                    const existing = request.result;
+                    if (!existing) {
+                        pageStore.put(this.withCanonicalVersion(imported, Number(page.canonicalId)));
+                        result.added++;
+                    } else if (onConflict === 'overwrite') {
+                        pageStore.put(this.withCanonicalVersion(imported, Number(page.canonicalId)));
+                        result.overwritten++;
+                    } else if (onConflict === 'versions') {
+                        // Renumber after the existing versions; the canonical one stays
+                        const current = this.getEntryVersions(existing);
+                        let id = current.reduce((max, v) => Math.max(max, v.id), 0);
+                        existing.versions = current.concat(versions.map(v => ({ ...v, id: ++id })));
+                        existing.lastAccessed = now;
+                        pageStore.put(this.withCanonicalVersion(existing, this.getCanonicalVersionId(existing)));
+                        result.merged++;
+                    } else {
+                        result.skipped++;
+                    }
+                };
+            }
+
+            const toList = (value) => Array.isArray(value) ? value.map(String) : [];
+            for (const item of archive.siteBibles || []) {
+                if (!item || !item.domain) continue;
+                const bible = {
+                    domain: String(item.domain),
+                    name: String(item.name || ''),
+                    palette: toList(item.palette),
+                    nav: toList(item.nav),
+                    entities: toList(item.entities),
+                    notes: String(item.notes || ''),
+                    createdAt: Number(item.createdAt) || now
+                };
+                const request = bibleStore.get(bible.domain);
+                request.onsuccess = () => {
+                    if (!request.result || onConflict === 'overwrite') {
+                        bibleStore.put(bible);
+                    }
+                };
+            }
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
 
-        return this.cleanHtmlResponse(data.choices[0].message.content);
+        await this.enforceCacheLimit();
+        return result;
     }
 
-    cleanHtmlResponse(html) {
-        // Remove any markdown code fences if present
-        html = html.trim();
+    // History Methods
+    async addHistoryEntry(entry) {
+        await this.ensureDB();
 
-        // Remove ```html or ``` at the start
-        if (html.startsWith('```html')) {
-            html = html.slice(7);
-        } else if (html.startsWith('```')) {
-            html = html.slice(3);
-        }
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['history'], 'readwrite');
+            const store = transaction.objectStore('history');
+            const request = store.add({ ...entry, timestamp: Date.now() });
 
-        // Remove ``` at the end
-        if (html.endsWith('```')) {
-            html = html.slice(0, -3);
-        }
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
 
-        return html.trim();
+    // All history entries, newest first
+    async getHistory() {
+        await this.ensureDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['history'], 'readonly');
+            const store = transaction.objectStore('history');
+            const request = store.index('timestamp').getAll();
+
+            request.onsuccess = () => resolve(request.result.reverse());
+            request.onerror = () => reject(request.error);
+        });
     }
-}
 
-// Create global instance
-const aiService = new AIService();
+    async deleteHistoryEntry(id) {
+        await this.ensureDB();
 
-// Model fetching and caching
-class ModelService {
-    constructor() {
-        this.models = [];
-        this.loaded = false;
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['history'], 'readwrite');
+            const store = transaction.objectStore('history');
+            const request = store.delete(id);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    async fetchModels() {
-        if (this.loaded && this.models.length > 0) {
-            return this.models;
-        }
+    // Deletes entries with from <= timestamp <= to
+    async clearHistoryRange(from, to) {
+        await this.ensureDB();
 
-        try {
-            const response = await fetch('https://openrouter.ai/api/v1/models');
-            if (!response.ok) {
-                throw new Error('Failed to fetch models');
-            }
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['history'], 'readwrite');
+            const store = transaction.objectStore('history');
+            const request = store.index('timestamp').openCursor(IDBKeyRange.bound(from, to));
 
-            const data = await response.json();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
 
-            // Sort by created date (newest first), fallback to name
-            this.models = data.data
-                .filter(m => m.id && m.name)
-                .sort((a, b) => {
-                    // Sort by created timestamp if available (newest first)
-                    if (a.created && b.created) {
-                        return b.created - a.created;
-                    }
-                    return a.name.localeCompare(b.name);
-                })
-                .map(m => ({
-                    id: m.id,
-                    name: m.name,
-                    created: m.created,
-                    contextLength: m.context_length,
-                    pricing: m.pricing
-                }));
-
-            this.loaded = true;
-            return this.models;
-        } catch (error) {
-            console.error('Error fetching models:', error);
-            return [];
-        }
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
     }
 
-    filterModels(query) {
-        if (!query) return this.models;
+    // Bookmark Methods
+    // Records are { id, type: 'bookmark' | 'folder', title, parentId, createdAt }
+    // plus url, favicon and an optional pinned html snapshot for bookmarks.
+    // parentId null means the bookmarks bar.
+    async getBookmarks() {
+        await this.ensureDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['bookmarks'], 'readonly');
+            const store = transaction.objectStore('bookmarks');
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getBookmarkByUrl(url) {
+        await this.ensureDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['bookmarks'], 'readonly');
+            const store = transaction.objectStore('bookmarks');
+            const request = store.index('url').get(url);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async saveBookmark(bookmark) {
+        await this.ensureDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['bookmarks'], 'readwrite');
+            const store = transaction.objectStore('bookmarks');
+            const request = store.put({ createdAt: Date.now(), ...bookmark });
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Deletes a bookmark, or a folder with everything in it
+    async deleteBookmark(id) {
+        const bookmarks = await this.getBookmarks();
+        const ids = [id];
+        for (let i = 0; i < ids.length; i++) {
+            for (const b of bookmarks) {
+                if (b.parentId === ids[i]) ids.push(b.id);
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['bookmarks'], 'readwrite');
+            const store = transaction.objectStore('bookmarks');
+            for (const bookmarkId of ids) {
+                store.delete(bookmarkId);
+            }
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Pinned snapshots outlive the page cache
+    async getBookmarkSnapshot(url) {
+        await this.ensureDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['bookmarks'], 'readonly');
+            const store = transaction.objectStore('bookmarks');
+            const request = store.index('url').getAll(url);
+
+            request.onsuccess = () => {
+                const pinned = request.result.find(b => b.snapshot);
+                resolve(pinned ? pinned.snapshot : null);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Prompt Profile Methods
+    // A profile is { id, name, systemPrompt, mobileAddendum, updatedAt }.
+    // The default profile always exists; until it is edited it isn't stored.
+    getBuiltInProfile() {
+        return {
+            id: DEFAULT_PROFILE_ID,
+            name: 'Default',
+            systemPrompt: SYSTEM_PROMPT,
+            mobileAddendum: MOBILE_PROMPT_ADDENDUM,
+            updatedAt: 0
+        };
+    }
+
+    // Every profile, the default one first and the rest by name
+    async getPromptProfiles() {
+        await this.ensureDB();
+
+        const stored = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['promptProfiles'], 'readonly');
+            const store = transaction.objectStore('promptProfiles');
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        const defaultProfile = stored.find(p => p.id === DEFAULT_PROFILE_ID) || this.getBuiltInProfile();
+        const others = stored.filter(p => p.id !== DEFAULT_PROFILE_ID).sort((a, b) => a.name.localeCompare(b.name));
+        return [defaultProfile, ...others];
+    }
+
+    async getPromptProfile(id) {
+        const profiles = await this.getPromptProfiles();
+        return profiles.find(p => p.id === id) || null;
+    }
+
+    async savePromptProfile(profile) {
+        await this.ensureDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['promptProfiles'], 'readwrite');
+            const store = transaction.objectStore('promptProfiles');
+            const request = store.put({ ...profile, updatedAt: Date.now() });
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Deleting the default profile resets it to the built-in prompts.
+    // Sites that used a deleted profile go back to the active one.
+    async deletePromptProfile(id) {
+        await this.ensureDB();
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['promptProfiles'], 'readwrite');
+            const store = transaction.objectStore('promptProfiles');
+            const request = store.delete(id);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+
+        const settings = await this.getSettings();
+        const overrides = Object.fromEntries(Object.entries(settings.profileOverrides).filter(([, profileId]) => profileId !== id));
+        const activeProfileId = settings.activeProfileId === id ? DEFAULT_PROFILE_ID : settings.activeProfileId;
+        await this.saveSettings({ ...settings, activeProfileId, profileOverrides: overrides });
+    }
+
+    // A new profile id that no stored profile uses
+    createProfileId() {
+        return `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    // The profile for pages at url: the domain's own, or the active one
+    async getProfileForUrl(url) {
+        const settings = await this.getSettings();
+        const domain = this.getSiteDomain(url);
+        const id = (domain && settings.profileOverrides[domain]) || settings.activeProfileId;
+        return await this.getPromptProfile(id) || await this.getPromptProfile(DEFAULT_PROFILE_ID);
+    }
+
+    // What a page at url is generated with: { profile, device, era, policy, variant }.
+    // options.era is the year to browse as of, or null for the present day,
+    // and options.device overrides the device from the settings. variant
+    // names the non-default choices, for the cache key, and is '' if there
+    // are none.
+    async getPageContext(url, options = {}) {
+        const settings = await this.getSettings();
+        const profile = await this.getProfileForUrl(url);
+        const device = [options.device, settings.device].find(id => DEVICE_PROFILES[id]) || 'desktop';
+        const era = this.normalizeEra(options.era);
+        const policy = CONTENT_POLICIES[settings.contentPolicy] ? settings.contentPolicy : 'unrestricted';
+        const revision = this.getProfileRevision(profile);
+        const variant = this.formatVariant({
+            profile: revision ? `${profile.id}@${revision}` : null,
+            device: device === 'desktop' ? null : device,
+            era: era,
+            policy: policy === 'unrestricted' ? null : policy
+        });
+        return { profile, device, era, policy, variant };
+    }
+
+    // A hash (FNV-1a) of a profile's prompts, so pages written with other
+    // prompts aren't shown for it. The built-in default has none.
+    getProfileRevision(profile) {
+        if (profile.id === DEFAULT_PROFILE_ID && !profile.updatedAt) return null;
+
+        const text = `${profile.systemPrompt}\n${profile.mobileAddendum}`;
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    // 'profile:<id>@<revision> device:<id> era:<year> policy:<id>', leaving out the parts that are null
+    formatVariant(parts) {
+        return Object.entries(parts)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([name, value]) => `${name}:${value}`)
+            .join(' ');
+    }
+
+    parseVariant(variant) {
+        const parts = {};
+        for (const part of (variant || '').split(' ').filter(Boolean)) {
+            const separator = part.indexOf(':');
+            parts[part.slice(0, separator)] = part.slice(separator + 1);
+        }
+        return parts;
+    }
+
+    // A year from MIN_ERA_YEAR up to last year, or null for the present day
+    normalizeEra(era) {
+        const year = Number(era);
+        if (era === null || era === undefined || era === '' || !Number.isInteger(year)) return null;
+        return year >= MIN_ERA_YEAR && year < new Date().getFullYear() ? year : null;
+    }
+
+    // The years url is cached in with the same choices as context, for era
+    // mode's timeline. The present day is left out.
+    async getCachedEras(url, context) {
+        await this.ensureDB();
+        const { era, ...others } = this.parseVariant(context.variant);
+        const rest = this.formatVariant(others);
+
+        return new Promise((resolve, reject) => {
+            const years = new Set();
+            const transaction = this.db.transaction(['pageCache'], 'readonly');
+            const store = transaction.objectStore('pageCache');
+            const request = store.openCursor();
+
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    resolve([...years].sort((a, b) => a - b));
+                    return;
+                }
+                const entry = cursor.value;
+                if ((entry.pageUrl || entry.url) === url && entry.kind !== 'api' && entry.method !== 'POST') {
+                    const { era, ...parts } = this.parseVariant(entry.variant);
+                    if (era && this.formatVariant(parts) === rest) years.add(Number(era));
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Content Policy Methods
+    // The domains and keywords blocked under policy, with the user's own
+    async getBlocklist(policy) {
+        const settings = await this.getSettings();
+        const builtIn = CONTENT_POLICIES[policy] || CONTENT_POLICIES.unrestricted;
+        const clean = (list) => list.map(item => item.trim().toLowerCase()).filter(Boolean);
+        // Domains may be entered as URLs
+        const domains = clean(settings.blockedDomains).map(d => d.replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/[\/:].*$/, ''));
+        return {
+            domains: [...builtIn.domains, ...domains.filter(Boolean)],
+            keywords: [...builtIn.keywords, ...clean(settings.blockedKeywords)]
+        };
+    }
+
+    // Why the policy in context blocks a request for url, or null if it
+    // doesn't. Checked before the cache or the model are asked for the page.
+    async checkUrlPolicy(url, formRequest, context) {
+        const blocklist = await this.getBlocklist(context.policy);
+        const host = this.getSiteDomain(url) || '';
+
+        const domain = blocklist.domains.find(d => host === d || host.endsWith(`.${d}`));
+        if (domain) return `${domain} is blocked`;
+
+        const fields = (formRequest?.body || []).map(([, value]) => value).join(' ');
+        let decoded = url;
+        try {
+            decoded = decodeURIComponent(url);
+        } catch {
+            // Keep the URL as it is
+        }
+        const labels = host.split('.');
+        const keyword = blocklist.keywords.find(k => this.countKeyword(`${decoded} ${fields}`, k) > 0 ||
+            (POLICY_EMBEDDED_KEYWORDS.includes(k) && labels.some(label => label.startsWith(k) || label.endsWith(k))));
+        return keyword ? `Addresses mentioning "${keyword}" are blocked` : null;
+    }
+
+    // Why generated html breaks the policy in context ("it mentions ..."),
+    // or null if it doesn't
+    async findPolicyViolation(html, context) {
+        const blocklist = await this.getBlocklist(context.policy);
+        if (blocklist.keywords.length === 0) return null;
+
+        const title = (html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1] || '';
+        const text = html
+            .replace(/<(script|style|title)\b[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<[^>]*>/g, ' ');
+
+        for (const keyword of blocklist.keywords) {
+            if (this.countKeyword(title, keyword) > 0) {
+                return `its title mentions "${keyword}"`;
+            }
+            if (this.countKeyword(text, keyword) >= POLICY_TEXT_MATCH_LIMIT) {
+                return `it mentions "${keyword}" too often`;
+            }
+        }
+        return null;
+    }
+
+    // Why the policy in context blocks a cached page (or API response, as
+    // what), or null if it doesn't. Cache hits are checked like new pages:
+    // the blocklists may have grown since, and imported worlds can hold
+    // pages that were never checked.
+    async checkCachedPolicy(html, context, what = 'page') {
+        const violation = await this.findPolicyViolation(html, context);
+        return violation ? `The ${what} was blocked because ${violation}` : null;
+    }
+
+    // Whole-word, case-insensitive occurrences of keyword in text, where
+    // anything but letters and digits separates words
+    countKeyword(text, keyword) {
+        const words = (value) => value.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        const needle = words(keyword);
+        if (needle.length === 0) return 0;
+
+        const haystack = words(text);
+        let count = 0;
+        for (let i = 0; i + needle.length <= haystack.length; i++) {
+            if (needle.every((word, j) => haystack[i + j] === word)) count++;
+        }
+        return count;
+    }
+
+    // A passcode lock for the content policy settings: { salt, hash }
+    async createPolicyLock(passcode) {
+        const salt = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+        return { salt, hash: await this.hashPasscode(passcode, salt) };
+    }
+
+    async checkPolicyPasscode(passcode) {
+        const settings = await this.getSettings();
+        if (!settings.policyLock) return true;
+        return await this.hashPasscode(passcode, settings.policyLock.salt) === settings.policyLock.hash;
+    }
+
+    async hashPasscode(passcode, salt) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${passcode}`));
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Usage Methods
+    // Every model request is logged with its token counts and cost, which
+    // is null when the provider's model list has no pricing for the model.
+    async recordUsage(provider, model, usage) {
+        await this.ensureDB();
+        const record = {
+            timestamp: Date.now(),
+            model: model,
+            inputTokens: usage.inputTokens,
+            outputTokens: usage.outputTokens,
+            cost: modelService.getCost(provider, model, usage)
+        };
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['usage'], 'readwrite');
+            const store = transaction.objectStore('usage');
+            const request = store.add(record);
+
+            request.onsuccess = () => resolve(record);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Totals for this session, today and this month, each
+    // { requests, inputTokens, outputTokens, cost, unpriced }, plus this
+    // month's totals per model, most expensive first
+    async getUsageSummary() {
+        await this.ensureDB();
+        const now = new Date();
+        const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+
+        const records = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['usage'], 'readonly');
+            const store = transaction.objectStore('usage');
+            const request = store.index('timestamp').getAll(IDBKeyRange.lowerBound(Math.min(monthStart, this.sessionStart)));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        const emptyTotal = () => ({ requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 });
+        const add = (total, record) => {
+            total.requests++;
+            total.inputTokens += record.inputTokens;
+            total.outputTokens += record.outputTokens;
+            if (record.cost === null) {
+                total.unpriced++;
+            } else {
+                total.cost += record.cost;
+            }
+        };
+
+        const summary = { session: emptyTotal(), today: emptyTotal(), month: emptyTotal(), models: [] };
+        const models = new Map();
+        for (const record of records) {
+            if (record.timestamp >= this.sessionStart) add(summary.session, record);
+            if (record.timestamp >= dayStart) add(summary.today, record);
+            if (record.timestamp >= monthStart) {
+                add(summary.month, record);
+                if (!models.has(record.model)) {
+                    models.set(record.model, { model: record.model, ...emptyTotal() });
+                }
+                add(models.get(record.model), record);
+            }
+        }
+
+        summary.models = [...models.values()]
+            .sort((a, b) => (b.cost - a.cost) || (b.inputTokens + b.outputTokens - a.inputTokens - a.outputTokens));
+        return summary;
+    }
+
+    // Where spending stands against the budget: { limit, period, spent,
+    // unpriced, state }, with state 'none', 'ok', 'warning' (past
+    // BUDGET_WARNING_RATIO) or 'exceeded'. unpriced counts the requests of
+    // the period whose cost is unknown, which the budget can't include.
+    async getBudgetStatus(summary = null) {
+        const settings = await this.getSettings();
+        const limit = Number(settings.budgetUSD) || 0;
+        const period = settings.budgetPeriod === 'day' ? 'day' : 'month';
+        if (limit <= 0) {
+            return { limit: 0, period, spent: 0, unpriced: 0, state: 'none' };
+        }
+
+        summary = summary || await this.getUsageSummary();
+        const total = period === 'day' ? summary.today : summary.month;
+        const spent = total.cost;
+        let state = 'ok';
+        if (spent >= limit) {
+            state = 'exceeded';
+        } else if (spent >= limit * BUDGET_WARNING_RATIO) {
+            state = 'warning';
+        }
+        return { limit, period, spent, unpriced: total.unpriced, state };
+    }
+
+    // Site Bible Methods
+    getSiteDomain(url) {
+        try {
+            return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+        } catch {
+            return null;
+        }
+    }
+
+    async getSiteBible(domain) {
+        if (!domain) return null;
+        await this.ensureDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['siteBibles'], 'readonly');
+            const store = transaction.objectStore('siteBibles');
+            const request = store.get(domain);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async saveSiteBible(bible) {
+        await this.ensureDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['siteBibles'], 'readwrite');
+            const store = transaction.objectStore('siteBibles');
+            const request = store.put({ ...bible, updatedAt: Date.now() });
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async clearSiteBible(domain) {
+        await this.ensureDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['siteBibles'], 'readwrite');
+            const store = transaction.objectStore('siteBibles');
+            const request = store.delete(domain);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Asks the model to summarize a site's first page into a bible and stores it
+    async createSiteBible(url, html) {
+        const domain = this.getSiteDomain(url);
+        if (!domain) return null;
+
+        // Scripts say little about a site's identity; keep the request small
+        const page = html.replace(/<script\b[\s\S]*?<\/script>/gi, '').slice(0, 20000);
+
+        const content = await this.chatCompletion([
+            { role: 'system', content: SITE_BIBLE_PROMPT },
+            { role: 'user', content: `URL: ${url}\n\n${page}` }
+        ], { maxTokens: 1000 });
+
+        const json = content.slice(content.indexOf('{'), content.lastIndexOf('}') + 1);
+        const parsed = JSON.parse(json);
+
+        const bible = {
+            domain: domain,
+            name: String(parsed.name || ''),
+            palette: Array.isArray(parsed.palette) ? parsed.palette.map(String) : [],
+            nav: Array.isArray(parsed.nav) ? parsed.nav.map(String) : [],
+            entities: Array.isArray(parsed.entities) ? parsed.entities.map(String) : [],
+            notes: String(parsed.notes || ''),
+            createdAt: Date.now()
+        };
+
+        await this.saveSiteBible(bible);
+        return bible;
+    }
+
+    formatSiteBible(bible) {
+        const lines = [`This page belongs to ${bible.domain}. Stay consistent with the site's established identity:`];
+
+        if (bible.name) lines.push(`- Site name: ${bible.name}`);
+        if (bible.palette.length) lines.push(`- Color palette: ${bible.palette.join(', ')}`);
+        if (bible.nav.length) lines.push(`- Main navigation (same items, same order): ${bible.nav.join(' | ')}`);
+        if (bible.entities.length) lines.push(`- Recurring people and products: ${bible.entities.join('; ')}`);
+        if (bible.notes) lines.push(`- Style notes: ${bible.notes}`);
+
+        return lines.join('\n');
+    }
+
+    // Pass options.onChunk to stream the page; it receives the cleaned HTML
+    // received so far each time a new piece arrives. options.context is
+    // from getPageContext (looked up if not given). options.formRequest
+    // describes a POST form submission ({ method, body: [[name, value], ...] }),
+    // options.onRetry reports retries (see chatCompletion) and options.signal
+    // cancels the request. A page that is cut off is continued in further
+    // requests, and closed up as is if that fails; options.onResult then gets
+    // { model, profileId, usage, continuations, repaired } with the usage of
+    // all of them. Throws a ContentPolicyError for a URL the content policy
+    // blocks, before asking the model, or for a page that breaks it.
+    async generatePage(url, options = {}) {
+        const settings = await this.getSettings();
+
+        if (!await this.isConfigured()) {
+            const provider = createProvider(settings);
+            throw new Error(`API key not configured. Please open settings and enter your ${provider.name} API key.`);
+        }
+
+        let userMessage = `Generate an HTML page for the following URL: ${url}`;
+
+        if (options.formRequest) {
+            const fields = options.formRequest.body
+                .map(([name, value]) => `${name}: ${value}`)
+                .join('\n');
+            userMessage += `\n\nThe user submitted a form to this URL with method POST and these fields:\n${fields || '(no fields)'}\n\nGenerate the page the site would show in response to this submission (for example the logged-in account page, the thread with the new comment, or the order confirmation).`;
+        }
+
+        const context = options.context || await this.getPageContext(url);
+        const blocked = await this.checkUrlPolicy(url, options.formRequest, context);
+        if (blocked) {
+            throw new ContentPolicyError(blocked);
+        }
+
+        // Keep pages on the same fake site consistent with what came before.
+        // The bible describes the site today, so it doesn't hold for other years.
+        const bible = context.era ? null : await this.getSiteBible(this.getSiteDomain(url));
+        if (bible) {
+            userMessage += `\n\n${this.formatSiteBible(bible)}`;
+        }
+
+        // Build system prompt from the profile - append the device's addendum
+        let systemPrompt = context.profile.systemPrompt;
+        if (context.device === 'phone') {
+            systemPrompt += context.profile.mobileAddendum;
+        } else if (DEVICE_PROMPT_ADDENDA[context.device]) {
+            systemPrompt += DEVICE_PROMPT_ADDENDA[context.device];
+        }
+        if (context.era) {
+            systemPrompt += ERA_PROMPT_ADDENDUM.replaceAll('{year}', context.era);
+        }
+        // The content policy goes last so nothing above overrides it
+        if (CONTENT_POLICY_ADDENDA[context.policy]) {
+            systemPrompt += CONTENT_POLICY_ADDENDA[context.policy];
+        }
+
+        // A filtered page is only shown once it has been checked in full
+        const filtered = (await this.getBlocklist(context.policy)).keywords.length > 0;
+        const onChunk = settings.streaming && options.onChunk && !filtered
+            ? (content) => options.onChunk(this.cleanHtmlResponse(content))
+            : null;
+
+        const messages = [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userMessage }
+        ];
+
+        // What every request for this page cost, and whether it had to be pieced together
+        const generation = { model: null, profileId: context.profile.id, usage: null, continuations: 0, repaired: false };
+        let finishReason = null;
+        const onResult = (result) => {
+            generation.model = result.model;
+            generation.usage = this.addUsage(generation.usage, result.usage);
+            finishReason = result.finishReason;
+        };
+
+        let content = await this.chatCompletion(messages, {
+            maxTokens: 16000, onChunk, onResult, onRetry: options.onRetry, signal: options.signal
+        });
+
+        // Long pages run into the token limit; ask the model to carry on
+        while (this.findTruncation(content, finishReason) && generation.continuations < MAX_PAGE_CONTINUATIONS) {
+            generation.continuations++;
+            const previous = content;
+            try {
+                const continuation = await this.chatCompletion([
+                    ...messages,
+                    { role: 'assistant', content: previous },
+                    { role: 'user', content: CONTINUE_PAGE_PROMPT }
+                ], {
+                    maxTokens: 16000,
+                    onChunk: onChunk && ((partial) => onChunk(this.joinContinuation(previous, partial))),
+                    onResult,
+                    onRetry: options.onRetry,
+                    signal: options.signal
+                });
+                content = this.joinContinuation(previous, continuation);
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                // Keep what we have and repair it below
+                console.error('Page continuation failed:', error);
+                break;
+            }
+        }
+
+        let html = this.cleanHtmlResponse(content);
+        if (this.findTruncation(content, finishReason)) {
+            html = this.repairHtml(html);
+            generation.repaired = true;
+        }
+
+        options.onResult?.(generation);
+
+        const violation = await this.findPolicyViolation(html, context);
+        if (violation) {
+            throw new ContentPolicyError(`The page was blocked because ${violation}`);
+        }
+        return html;
+    }
+
+    // Why a page reply looks cut off, or null if it looks finished. Only
+    // checks what truncation breaks - the end of the document - since models
+    // often leave an element unclosed in pages that are otherwise complete.
+    findTruncation(content, finishReason) {
+        if (finishReason === 'length') return 'the reply reached the token limit';
+
+        const html = this.cleanHtmlResponse(content);
+        if (html.lastIndexOf('<') > html.lastIndexOf('>')) return 'the reply ends inside a tag';
+        if (html.lastIndexOf('<!--') > html.lastIndexOf('-->')) return 'the reply ends inside a comment';
+        for (const tag of ['script', 'style', 'body', 'head']) {
+            const opened = html.search(new RegExp(`<${tag}\\b`, 'i')) !== -1;
+            if (opened && !new RegExp(`</${tag}\\s*>`, 'i').test(html)) return `<${tag}> is never closed`;
+        }
+        if (!/<\/html\s*>\s*$/i.test(html)) return 'the closing </html> tag is missing';
+        return null;
+    }
+
+    // Appends a continuation to the partial reply before it, dropping code
+    // fences and any text the model repeated from the end of the last part.
+    // A continuation that starts the page over replaces it.
+    joinContinuation(previous, continuation) {
+        continuation = continuation.replace(/^\s*```\w*\n?/, '');
+        if (/^\s*<(!doctype|html)\b/i.test(continuation)) {
+            return continuation;
+        }
+
+        // Short repeats only count when they start at a word, so a part that
+        // happens to begin with the letters the last one ended on keeps them
+        for (let length = Math.min(previous.length, continuation.length, 500); length >= 4; length--) {
+            const overlap = continuation.slice(0, length);
+            if (!previous.endsWith(overlap)) continue;
+            const before = previous.charAt(previous.length - length - 1);
+            if (length >= 20 || !/\w/.test(before) || !/^\w/.test(overlap)) {
+                return previous + continuation.slice(length);
+            }
+        }
+        return previous + continuation;
+    }
+
+    // Makes a page that was cut short well-formed: drops a trailing partial
+    // tag, comment or script and closes every element still open
+    repairHtml(html) {
+        const lastTag = html.lastIndexOf('<');
+        if (lastTag > html.lastIndexOf('>')) {
+            html = html.slice(0, lastTag);
+        }
+        const lastComment = html.lastIndexOf('<!--');
+        if (lastComment > html.lastIndexOf('-->')) {
+            html = html.slice(0, lastComment);
+        }
+        // Half a script would only throw
+        const lastScript = html.search(/<script\b(?![\s\S]*<script\b)/i);
+        if (lastScript !== -1 && !/<\/script\s*>/i.test(html.slice(lastScript))) {
+            html = html.slice(0, lastScript);
+        }
+        const lastStyle = html.search(/<style\b(?![\s\S]*<style\b)/i);
+        if (lastStyle !== -1 && !/<\/style\s*>/i.test(html.slice(lastStyle))) {
+            html += '</style>';
+        }
+
+        // Tags inside scripts, styles and comments don't count
+        const markup = html.replace(/<(script|style)\b[\s\S]*?<\/\1\s*>|<!--[\s\S]*?-->/gi, '');
+        const open = [];
+        for (const [tag, name] of markup.matchAll(/<\/?([a-zA-Z][\w-]*)[^>]*>/g)) {
+            const element = name.toLowerCase();
+            if (VOID_ELEMENTS.has(element) || tag.endsWith('/>')) continue;
+            if (tag.startsWith('</')) {
+                const index = open.lastIndexOf(element);
+                if (index !== -1) open.length = index;
+            } else {
+                open.push(element);
+            }
+        }
+
+        return html + open.reverse().map(element => `</${element}>`).join('');
+    }
+
+    // Adds up two usage records from chatCompletion; either may be null
+    addUsage(total, usage) {
+        if (!total || !usage) return total || usage;
+        return {
+            inputTokens: total.inputTokens + usage.inputTokens,
+            outputTokens: total.outputTokens + usage.outputTokens,
+            cost: total.cost === null && usage.cost === null ? null : (total.cost || 0) + (usage.cost || 0)
+        };
+    }
+
+    // Answers a fetch or XMLHttpRequest call made by the page at pageUrl,
+    // whose HTML is pageHtml. request is { method, url, headers, body } and
+    // context is the page's, from getPageContext. Resolves with
+    // { status, contentType, body, model, usage }.
+    async generateApiResponse(request, pageUrl, pageHtml, context = null) {
+        context = context || await this.getPageContext(pageUrl);
+        const blocked = await this.checkUrlPolicy(request.url, null, context);
+        if (blocked) {
+            throw new ContentPolicyError(blocked);
+        }
+
+        const headers = Object.entries(request.headers || {})
+            .map(([name, value]) => `${name}: ${value}`)
+            .join('\n');
+
+        let userMessage = `Request: ${request.method} ${request.url}`;
+        if (headers) userMessage += `\n${headers}`;
+        if (request.body) userMessage += `\n\n${request.body}`;
+
+        const bible = context.era ? null : await this.getSiteBible(this.getSiteDomain(pageUrl));
+        if (bible) {
+            userMessage += `\n\n${this.formatSiteBible(bible)}`;
+        }
+        if (context.era) {
+            userMessage += `\n\nThe site is being browsed as it was in ${context.era}: answer with what the server would have returned then.`;
+        }
+
+        // The page's scripts show what shape of response they expect, so keep
+        // them and drop the styles instead
+        const page = pageHtml.replace(/<style\b[\s\S]*?<\/style>/gi, '').slice(0, 20000);
+        userMessage += `\n\nThe request was made by the page at ${pageUrl}:\n\n${page}`;
+
+        let generation = null;
+        const content = await this.chatCompletion([
+            { role: 'system', content: API_RESPONSE_PROMPT + (CONTENT_POLICY_ADDENDA[context.policy] || '') },
+            { role: 'user', content: userMessage }
+        ], { maxTokens: 4000, onResult: (result) => { generation = result; } });
+
+        const response = this.parseApiResponse(content);
+        const violation = await this.findPolicyViolation(response.body, context);
+        if (violation) {
+            throw new ContentPolicyError(`The response was blocked because ${violation}`);
+        }
+        return { ...response, model: generation.model, usage: generation.usage };
+    }
+
+    // Reads the { status, contentType, body } reply; a reply that isn't in
+    // that shape is taken as the body itself
+    parseApiResponse(content) {
+        content = content.trim().replace(/^```\w*\s*/, '').replace(/```$/, '').trim();
+
+        let parsed = null;
+        try {
+            parsed = JSON.parse(content);
+        } catch {
+            // Not JSON at all
+        }
+
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed) && 'body' in parsed) {
+            const status = Number(parsed.status) >= 200 && Number(parsed.status) <= 599 ? Number(parsed.status) : 200;
+            const body = parsed.body;
+            // No content and not modified responses never have a body
+            const empty = status === 204 || status === 205 || status === 304;
+            return {
+                status: status,
+                contentType: String(parsed.contentType || (typeof body === 'string' ? 'text/plain' : 'application/json')),
+                body: empty ? '' : typeof body === 'string' ? body : JSON.stringify(body)
+            };
+        }
+
+        return {
+            status: 200,
+            contentType: parsed !== null ? 'application/json' : 'text/plain',
+            body: content
+        };
+    }
+
+    // Sends a chat completion request to the configured provider and returns
+    // the reply text. Streams the response when options.onChunk is given,
+    // calling it with the text so far; options.signal aborts it. Refuses to
+    // send anything once the spending budget is used up.
+    //
+    // Rate limits, overloads and server errors are retried with exponential
+    // backoff (or as long as Retry-After says), then the fallback models are
+    // tried in order. options.onRetry is called before each new attempt with
+    // { model, error, delay, attempt } for a retry or { model, error, fallback }
+    // when moving on to a fallback model. options.onResult gets
+    // { model, usage, finishReason } for the model that answered, where usage
+    // is the logged { inputTokens, outputTokens, cost }, or null if the API
+    // didn't report it.
+    async chatCompletion(messages, options = {}) {
+        const settings = await this.getSettings();
+        const provider = createProvider(settings);
+
+        const budget = await this.getBudgetStatus();
+        if (budget.state === 'exceeded') {
+            throw new Error(`Spending budget reached: $${budget.spent.toFixed(2)} of $${budget.limit.toFixed(2)} ${budget.period === 'day' ? 'today' : 'this month'}. Raise the budget in settings to keep generating pages.`);
+        }
+
+        const models = this.getModelChain(settings);
+        let lastError = null;
+
+        for (const [index, model] of models.entries()) {
+            if (index > 0) {
+                options.onRetry?.({ model, error: lastError, fallback: true });
+            }
+
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    const result = await provider.complete(messages, {
+                        model: model,
+                        maxTokens: options.maxTokens,
+                        onChunk: options.onChunk,
+                        signal: options.signal
+                    });
+
+                    let usage = null;
+                    if (result.usage) {
+                        // Pricing comes from the model list, which may not be loaded yet
+                        await modelService.loadPricing(provider);
+                        usage = await this.recordUsage(provider, model, result.usage);
+                    }
+                    options.onResult?.({ model, usage, finishReason: result.finishReason });
+
+                    return result.content;
+                } catch (error) {
+                    // Stopping is final, and other models won't accept a bad key either
+                    if (error.name === 'AbortError' || error.status === 401 || error.status === 403) {
+                        throw error;
+                    }
+                    lastError = error;
+
+                    const delay = this.getRetryDelay(error, attempt);
+                    if (!this.isRetryableError(error) || attempt >= settings.maxRetries || delay > MAX_RETRY_DELAY_MS) {
+                        break;
+                    }
+                    options.onRetry?.({ model, error, delay, attempt: attempt + 1 });
+                    await this.wait(delay, options.signal);
+                }
+            }
+        }
+
+        if (models.length > 1) {
+            throw new ProviderError(`${lastError.message} (tried ${models.join(', ')})`, lastError.status);
+        }
+        throw lastError;
+    }
+
+    // The selected model followed by its fallbacks, without repeats
+    getModelChain(settings) {
+        const models = [settings.model, ...(settings.fallbackModels || [])];
+        return models.filter((model, index) => index === 0 || (model && models.indexOf(model) === index));
+    }
+
+    // Rate limits, overloaded models, server errors and dropped connections
+    // are worth another try; anything else would fail the same way again
+    isRetryableError(error) {
+        if (error instanceof ProviderError) {
+            return error.status === 0 || error.status === 408 || error.status === 429 || error.status >= 500;
+        }
+        // fetch rejects with a TypeError when the network fails
+        return error instanceof TypeError;
+    }
+
+    getRetryDelay(error, attempt) {
+        if (typeof error.retryAfter === 'number') {
+            return error.retryAfter;
+        }
+        return RETRY_BASE_DELAY_MS * 2 ** attempt;
+    }
+
+    // Resolves after ms, or rejects as soon as signal aborts
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            signal?.throwIfAborted();
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            }, { once: true });
+        });
+    }
+
+    cleanHtmlResponse(html) {
+        // Remove any markdown code fences if present
+        html = html.trim();
+
+        // Remove ```html or ``` at the start
+        if (html.startsWith('```html')) {
+            html = html.slice(7);
+        } else if (html.startsWith('```')) {
+            html = html.slice(3);
+        }
+
+        // Drop anything the model wrote after the page, like a note on it
+        const page = html.match(/^[\s\S]*<\/html\s*>/i);
+        if (page) {
+            html = page[0];
+        }
+
+        // Remove ``` at the end
+        if (html.endsWith('```')) {
+            html = html.slice(0, -3);
+        }
+
+        return html.trim();
+    }
+}
+
+// Create global instance
+const aiService = new AIService();
+
+// Model fetching and caching
+class ModelService {
+    constructor() {
+        this.models = [];
+        this.loadedFor = null;
+        // Pricing by provider cache key, each a Map of model id to pricing.
+        // Kept apart from the list above, which the settings dialog fills
+        // for whatever provider is in its form.
+        this.pricing = new Map();
+        // When loading each provider's pricing last failed
+        this.pricingFailedAt = new Map();
+    }
+
+    // Loads the provider's pricing once. A list without prices (as local
+    // servers give) is kept too, so it isn't fetched again for every page;
+    // one that failed to load is tried again after PRICING_RETRY_MS.
+    async loadPricing(provider) {
+        const key = provider.cacheKey;
+        if (this.pricing.has(key) || Date.now() - (this.pricingFailedAt.get(key) || 0) < PRICING_RETRY_MS) {
+            return;
+        }
+
+        try {
+            this.setPricing(provider, await provider.fetchModels());
+        } catch (error) {
+            console.error('Error fetching model pricing:', error);
+            this.pricingFailedAt.set(key, Date.now());
+        }
+    }
+
+    setPricing(provider, models) {
+        const prices = models.filter(m => m.id && m.pricing).map(m => [m.id, m.pricing]);
+        this.pricing.set(provider.cacheKey, new Map(prices));
+        this.pricingFailedAt.delete(provider.cacheKey);
+    }
+
+    async fetchModels(provider) {
+        // The list depends on which provider (and endpoint) is selected
+        if (this.loadedFor === provider.cacheKey && this.models.length > 0) {
+            return this.models;
+        }
+
+        try {
+            const models = await provider.fetchModels();
+
+            // Sort by created date (newest first), fallback to name
+            this.models = models
+                .filter(m => m.id && m.name)
+                .sort((a, b) => {
+                    // Sort by created timestamp if available (newest first)
+                    if (a.created && b.created) {
+                        return b.created - a.created;
+                    }
+                    return a.name.localeCompare(b.name);
+                });
+
+            this.loadedFor = provider.cacheKey;
+            this.setPricing(provider, models);
+            return this.models;
+        } catch (error) {
+            console.error('Error fetching models:', error);
+            this.models = [];
+            this.loadedFor = null;
+            return [];
+        }
+    }
+
+    // Dollar cost of usage on a model of provider, or null when its pricing
+    // is unknown. Pricing is per token, as the model list reports it.
+    getCost(provider, modelId, usage) {
+        const pricing = this.pricing.get(provider.cacheKey)?.get(modelId);
+        const inputPrice = Number(pricing?.prompt);
+        const outputPrice = Number(pricing?.completion);
+        if (!pricing || !Number.isFinite(inputPrice) || !Number.isFinite(outputPrice)) {
+            return null;
+        }
+        return usage.inputTokens * inputPrice + usage.outputTokens * outputPrice;
+    }
+
+    filterModels(query) {
+        if (!query) return this.models;
         const q = query.toLowerCase();
         return this.models.filter(m =>
             m.id.toLowerCase().includes(q) ||
@@ -284,3 +1910,8 @@ class ModelService {
 }
 
 const modelService = new ModelService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AIService, ModelService, ContentPolicyError, aiService, modelService, DEFAULT_PROFILE_ID, DEVICE_PROFILES, CONTENT_POLICIES, MIN_ERA_YEAR };
+}
@@ -1,14 +1,34 @@
 // FakeBrowser - Main Browser Logic with Tabs
 
+// Minimum delay between progressive renders of a streaming page (ms)
+const PREVIEW_INTERVAL = 500;
+
+// How many closed tabs can be reopened
+const MAX_CLOSED_TABS = 10;
+
 class Tab {
     constructor(id) {
         this.id = id;
         this.url = null;
         this.title = 'New Tab';
         this.favicon = '🌐';
-        this.history = [];
+        this.history = []; // { url, formRequest } of each page, for Back and Forward
         this.historyIndex = -1;
         this.content = null; // Stored HTML content
+        this.formRequest = null; // POST submission that produced the current page
+        this.versions = []; // { id, model, timestamp, repaired } of each cached version of the page
+        this.canonicalId = null; // Version that navigation shows
+        this.versionId = null; // Version shown in this tab
+        this.frozen = false; // Only show cached pages, never call the model
+        this.era = null; // Year this tab browses the web as of; null is the present day
+
+        // Loading state
+        this.isLoading = false;
+        this.abortController = null; // Cancels the in-flight generation
+        this.pendingUrl = null; // URL being loaded
+        this.preview = null; // Partial HTML streamed so far
+        this.error = null; // { url, message } of the last failed load
+        this.status = 'Ready';
     }
 }
 
@@ -17,32 +37,144 @@ class FakeBrowser {
         // DOM Elements
         this.tabsContainer = document.getElementById('tabs-container');
         this.newTabBtn = document.getElementById('new-tab-btn');
+        this.closedTabsBtn = document.getElementById('closed-tabs-btn');
+        this.closedTabsMenu = document.getElementById('closed-tabs-menu');
         this.urlBar = document.getElementById('url-bar');
         this.goBtn = document.getElementById('go-btn');
+        this.bookmarkBtn = document.getElementById('bookmark-btn');
+        this.versionsBtn = document.getElementById('versions-btn');
+        this.modelBadge = document.getElementById('model-badge');
+        this.eraBtn = document.getElementById('era-btn');
+        this.eraMenu = document.getElementById('era-menu');
+        this.versionsMenu = document.getElementById('versions-menu');
+        this.frozenBtn = document.getElementById('frozen-btn');
+        this.usageBtn = document.getElementById('usage-btn');
+        this.findBar = document.getElementById('find-bar');
+        this.findInput = document.getElementById('find-input');
+        this.findCount = document.getElementById('find-count');
+        this.findPrevBtn = document.getElementById('find-prev');
+        this.findNextBtn = document.getElementById('find-next');
+        this.findCloseBtn = document.getElementById('find-close');
+        this.bookmarksBar = document.getElementById('bookmarks-bar');
+        this.bookmarksMenu = document.getElementById('bookmarks-menu');
         this.backBtn = document.getElementById('back-btn');
         this.forwardBtn = document.getElementById('forward-btn');
         this.refreshBtn = document.getElementById('refresh-btn');
+        this.stopBtn = document.getElementById('stop-btn');
         this.homeBtn = document.getElementById('home-btn');
         this.settingsBtn = document.getElementById('settings-btn');
         this.contentFrame = document.getElementById('content-frame');
+        this.contentArea = document.querySelector('.content-area');
+        this.deviceFrame = document.getElementById('device-frame');
+        this.deviceSelect = document.getElementById('device-select');
+        this.rotateBtn = document.getElementById('rotate-btn');
+        this.zoomSelect = document.getElementById('zoom-select');
         this.loadingBar = document.getElementById('loading-bar');
         this.statusText = document.getElementById('status-text');
 
         // Settings Modal Elements
         this.settingsModal = document.getElementById('settings-modal');
         this.closeSettingsBtn = document.getElementById('close-settings');
+        this.providerSelect = document.getElementById('provider-select');
+        this.providerOptions = document.getElementById('provider-options');
+        this.providerBaseUrlInput = document.getElementById('provider-base-url');
+        this.providerAuthSelect = document.getElementById('provider-auth');
+        this.providerModelsPathInput = document.getElementById('provider-models-path');
+        this.apiKeyGroup = document.getElementById('api-key-group');
+        this.apiKeyLabel = document.getElementById('api-key-label');
+        this.apiKeyLink = document.getElementById('api-key-link');
         this.apiKeyInput = document.getElementById('api-key');
         this.modelSearch = document.getElementById('model-search');
         this.modelSelect = document.getElementById('model-select');
-        this.mobileModeCheckbox = document.getElementById('mobile-mode');
+        this.deviceProfileSelect = document.getElementById('device-profile');
+        this.streamingCheckbox = document.getElementById('streaming-mode');
+        this.prefetchCheckbox = document.getElementById('prefetch-mode');
+        this.prefetchConcurrencyInput = document.getElementById('prefetch-concurrency');
+        this.prefetchPerDomainInput = document.getElementById('prefetch-per-domain');
+        this.prefetchSpendInput = document.getElementById('prefetch-spend');
         this.saveSettingsBtn = document.getElementById('save-settings');
         this.clearCacheBtn = document.getElementById('clear-cache');
+        this.cacheLimitInput = document.getElementById('cache-limit');
+        this.budgetInput = document.getElementById('budget-limit');
+        this.fallbackModelsInput = document.getElementById('fallback-models');
+        this.maxRetriesInput = document.getElementById('max-retries');
+        this.budgetPeriodSelect = document.getElementById('budget-period');
+        this.imageEndpointInput = document.getElementById('image-endpoint');
+        this.defaultEraInput = document.getElementById('default-era');
+        this.contentPolicySelect = document.getElementById('content-policy');
+        this.blockedDomainsInput = document.getElementById('blocked-domains');
+        this.blockedKeywordsInput = document.getElementById('blocked-keywords');
+        this.policyPasscodeInput = document.getElementById('policy-passcode');
+        this.policyUnlockBtn = document.getElementById('policy-unlock');
+        this.policyHint = document.getElementById('policy-hint');
+        this.manageCacheLink = document.getElementById('manage-cache');
+        this.activeProfileSelect = document.getElementById('active-profile');
+        this.profileSelect = document.getElementById('profile-select');
+        this.profileNewBtn = document.getElementById('profile-new');
+        this.profileDuplicateBtn = document.getElementById('profile-duplicate');
+        this.profileDeleteBtn = document.getElementById('profile-delete');
+        this.profileResetBtn = document.getElementById('profile-reset');
+        this.profileNameInput = document.getElementById('profile-name');
+        this.profileSystemInput = document.getElementById('profile-system');
+        this.profileMobileInput = document.getElementById('profile-mobile');
+
+        // Site Bible Modal Elements
+        this.bibleBtn = document.getElementById('bible-btn');
+        this.bibleModal = document.getElementById('bible-modal');
+        this.closeBibleBtn = document.getElementById('close-bible');
+        this.bibleDomainText = document.getElementById('bible-domain');
+        this.bibleNameInput = document.getElementById('bible-name');
+        this.biblePaletteInput = document.getElementById('bible-palette');
+        this.bibleNavInput = document.getElementById('bible-nav');
+        this.bibleEntitiesInput = document.getElementById('bible-entities');
+        this.bibleNotesInput = document.getElementById('bible-notes');
+        this.saveBibleBtn = document.getElementById('save-bible');
+        this.clearBibleBtn = document.getElementById('clear-bible');
+        this.bibleProfileSelect = document.getElementById('bible-profile');
 
         // Tab State
         this.tabs = new Map();
         this.activeTabId = null;
         this.tabCounter = 0;
-        this.isLoading = false;
+
+        // Session State
+        this.closedTabs = []; // Serialized tabs, most recently closed last
+        this.restoringSession = false;
+        this.sessionSaveQueued = false;
+
+        // Streaming preview throttle (previews are stored per tab)
+        this.previewTimer = null;
+
+        // Bookmarks, mirrored from IndexedDB for the bookmarks bar
+        this.bookmarks = [];
+
+        // Secret that internal pages include in their messages, so generated
+        // pages can't trigger actions like deleting history
+        this.internalToken = Array.from(crypto.getRandomValues(new Uint32Array(4)), n => n.toString(16)).join('');
+
+        // The about: pages, by address
+        this.internalPages = this.createInternalPages();
+
+        // Bumped on every render, so late images from the image backend
+        // aren't sent to a page that has since been replaced
+        this.renderCount = 0;
+        // Simulated API calls being generated, by cache key
+        this.pendingApiRequests = new Map();
+
+        // Domains whose site bible is currently being written
+        this.pendingBibles = new Set();
+        this.bibleDomain = null;
+
+        // Prefetched pages are new pages like any other
+        prefetcher.onGenerated = (url, html, context) => {
+            this.updateUsageUI();
+            if (!context.era) this.recordSiteBible(url, html);
+        };
+
+        // Last budget state shown, so crossing a threshold is announced once,
+        // and how many requests the budget couldn't price when last shown
+        this.budgetState = null;
+        this.budgetUnpriced = null;
 
         // Initialize
         this.init();
@@ -51,7 +183,13 @@ class FakeBrowser {
     async init() {
         this.bindEvents();
         await this.loadSettings();
-        this.createTab(); // Create initial tab
+        await this.refreshBookmarks();
+        await this.updateUsageUI();
+
+        // Reopen the last session, or start with a fresh tab
+        if (!await this.restoreSession()) {
+            this.createTab();
+        }
     }
 
     bindEvents() {
@@ -63,20 +201,114 @@ class FakeBrowser {
         this.backBtn.addEventListener('click', () => this.goBack());
         this.forwardBtn.addEventListener('click', () => this.goForward());
         this.refreshBtn.addEventListener('click', () => this.refresh());
+        this.stopBtn.addEventListener('click', () => this.stop());
         this.homeBtn.addEventListener('click', () => this.goHome());
 
         // Tabs
         this.newTabBtn.addEventListener('click', () => this.createTab());
+        this.closedTabsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleClosedTabsMenu();
+        });
+        document.addEventListener('click', () => {
+            this.closedTabsMenu.hidden = true;
+            this.bookmarksMenu.hidden = true;
+            this.versionsMenu.hidden = true;
+            this.eraMenu.hidden = true;
+        });
+
+        // Page versions
+        this.versionsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleVersionsMenu();
+        });
+        this.versionsMenu.addEventListener('click', (e) => e.stopPropagation());
+
+        // Era mode
+        this.eraBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleEraMenu();
+        });
+        this.eraMenu.addEventListener('click', (e) => e.stopPropagation());
+
+        // Frozen world mode
+        this.frozenBtn.addEventListener('click', () => this.toggleFrozen());
+
+        // Device emulation
+        this.deviceSelect.addEventListener('change', () => this.setDevice(this.deviceSelect.value));
+        this.rotateBtn.addEventListener('click', () => this.rotateDevice());
+        this.zoomSelect.addEventListener('change', () => this.setDeviceZoom(this.zoomSelect.value));
+        window.addEventListener('resize', () => this.applyDeviceFrame());
+
+        // Spending totals link to the breakdown on the settings page
+        this.usageBtn.addEventListener('click', () => this.navigate('about:settings'));
+
+        // Find in page
+        this.findInput.addEventListener('input', () => this.find(0));
+        this.findInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.find(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeFindBar();
+            }
+        });
+        this.findPrevBtn.addEventListener('click', () => this.find(-1));
+        this.findNextBtn.addEventListener('click', () => this.find(1));
+        this.findCloseBtn.addEventListener('click', () => this.closeFindBar());
+
+        // Bookmarks
+        this.bookmarkBtn.addEventListener('click', () => this.toggleBookmark());
 
         // Settings
         this.settingsBtn.addEventListener('click', () => this.openSettings());
         this.closeSettingsBtn.addEventListener('click', () => this.closeSettings());
         this.saveSettingsBtn.addEventListener('click', () => this.saveSettings());
         this.clearCacheBtn.addEventListener('click', () => this.clearCache());
+        this.manageCacheLink.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.closeSettings();
+            this.createTab('about:cache');
+        });
         this.settingsModal.addEventListener('click', (e) => {
             if (e.target === this.settingsModal) this.closeSettings();
         });
 
+        // Prompt profiles are edited as drafts until the settings are saved
+        this.profileSelect.addEventListener('change', () => this.showProfileDraft(this.profileSelect.value));
+        this.profileNewBtn.addEventListener('click', () => this.addProfileDraft(null));
+        this.profileDuplicateBtn.addEventListener('click', () => this.addProfileDraft(this.profileSelect.value));
+        this.profileDeleteBtn.addEventListener('click', () => this.deleteProfileDraft());
+        this.profileResetBtn.addEventListener('click', () => this.resetProfileDraft());
+        for (const input of [this.profileNameInput, this.profileSystemInput, this.profileMobileInput]) {
+            input.addEventListener('input', () => this.updateProfileDraft());
+        }
+
+        // The content policy can be locked behind a passcode
+        this.policyUnlockBtn.addEventListener('click', () => this.togglePolicyLock());
+        this.policyPasscodeInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && this.currentSettings.policyLock && !this.policyUnlocked) {
+                this.togglePolicyLock();
+            }
+        });
+
+        // Site bible
+        this.bibleBtn.addEventListener('click', () => this.openSiteBible());
+        this.closeBibleBtn.addEventListener('click', () => this.closeSiteBible());
+        this.saveBibleBtn.addEventListener('click', () => this.saveSiteBible());
+        this.clearBibleBtn.addEventListener('click', () => this.clearSiteBible());
+        this.bibleModal.addEventListener('click', (e) => {
+            if (e.target === this.bibleModal) this.closeSiteBible();
+        });
+        this.bibleProfileSelect.addEventListener('change', () => this.setSiteProfile(this.bibleDomain, this.bibleProfileSelect.value));
+
+        // Provider selection
+        this.providerSelect.addEventListener('change', () => this.changeProvider());
+        this.providerBaseUrlInput.addEventListener('change', () => this.populateModelSelect());
+        this.providerModelsPathInput.addEventListener('change', () => this.populateModelSelect());
+        this.apiKeyInput.addEventListener('change', () => this.populateModelSelect());
+
         // Model search filtering
         this.modelSearch.addEventListener('input', () => this.filterModels());
 
@@ -85,22 +317,71 @@ class FakeBrowser {
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 't') {
+                e.preventDefault();
+                this.reopenClosedTab();
+                return;
+            }
             if ((e.ctrlKey || e.metaKey) && e.key === 't') {
                 e.preventDefault();
                 this.createTab();
             }
+            if ((e.ctrlKey || e.metaKey) && e.key === 'd') {
+                e.preventDefault();
+                this.toggleBookmark();
+            }
+            if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'o') {
+                e.preventDefault();
+                this.createTab('about:bookmarks');
+                return;
+            }
+            if ((e.ctrlKey || e.metaKey) && e.key === 'h') {
+                e.preventDefault();
+                this.createTab('about:history');
+            }
+            if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
+                e.preventDefault();
+                this.openFindBar();
+            }
             if ((e.ctrlKey || e.metaKey) && e.key === 'w') {
                 e.preventDefault();
                 if (this.activeTabId) this.closeTab(this.activeTabId);
             }
+            if (e.key === 'Escape' && this.activeTab?.isLoading) {
+                e.preventDefault();
+                this.stop();
+            }
         });
     }
 
     // ==================== Tab Management ====================
 
-    createTab(url = null) {
+    createTab(url = null, state = null) {
+        const tab = this.addTab(state);
+        this.switchToTab(tab.id);
+
+        // Navigate to URL if provided, otherwise show welcome
+        if (url) {
+            this.navigate(url);
+        } else {
+            this.showWelcomePage();
+        }
+
+        return tab;
+    }
+
+    // Creates a tab and its element without showing it. state holds saved
+    // fields (url, title, history...) when restoring a tab.
+    addTab(state = null) {
         const id = ++this.tabCounter;
         const tab = new Tab(id);
+        // New tabs start in the default era
+        tab.era = this.currentSettings?.era ?? null;
+        if (state) {
+            Object.assign(tab, state);
+            // Sessions saved before history kept form submissions hold plain URLs
+            tab.history = tab.history.map(entry => typeof entry === 'string' ? { url: entry, formRequest: null } : entry);
+        }
         this.tabs.set(id, tab);
 
         // Create tab element
@@ -109,7 +390,7 @@ class FakeBrowser {
         tabEl.dataset.tabId = id;
         tabEl.innerHTML = `
             <span class="tab-favicon">${tab.favicon}</span>
-            <span class="tab-title">${tab.title}</span>
+            <span class="tab-title">${this.escapeHtml(tab.title)}</span>
             <button class="tab-close" title="Close tab">
                 <svg viewBox="0 0 24 24" width="12" height="12">
                     <path fill="currentColor" d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
@@ -131,14 +412,7 @@ class FakeBrowser {
         });
 
         this.tabsContainer.appendChild(tabEl);
-        this.switchToTab(id);
-
-        // Navigate to URL if provided, otherwise show welcome
-        if (url) {
-            this.navigate(url);
-        } else {
-            this.showWelcomePage();
-        }
+        this.saveSession();
 
         return tab;
     }
@@ -147,14 +421,6 @@ class FakeBrowser {
         const tab = this.tabs.get(id);
         if (!tab) return;
 
-        // Save current tab's state
-        if (this.activeTabId && this.activeTabId !== id) {
-            const currentTab = this.tabs.get(this.activeTabId);
-            if (currentTab) {
-                // Content is already stored when rendered
-            }
-        }
-
         // Update active tab
         this.activeTabId = id;
 
@@ -164,13 +430,36 @@ class FakeBrowser {
         });
 
         // Restore tab state
-        this.urlBar.value = tab.url || '';
         this.updateNavButtons();
+        this.updateLoadingUI();
+        this.updateFrozenUI();
+        this.updateEraUI();
+        this.setStatus(tab.status);
+        this.renderTab(tab);
+        this.saveSession();
+        this.schedulePrefetch(tab);
+    }
 
-        // Restore content
-        if (tab.content) {
-            this.renderPage(tab.content, tab.url, false);
-        } else if (!tab.url) {
+    // Shows whatever the tab currently holds: its partial page while loading,
+    // its last error, its page or the welcome page
+    renderTab(tab) {
+        this.urlBar.value = tab.pendingUrl || tab.error?.url || tab.url || '';
+
+        if (tab.url && this.isInternalUrl(tab.url) && !tab.isLoading) {
+            this.renderInternalPage(tab.url);
+        } else if (tab.isLoading) {
+            if (tab.preview) {
+                this.renderPreview(tab.preview);
+            } else {
+                this.contentFrame.srcdoc = '';
+            }
+        } else if (tab.error) {
+            this.showErrorPage(tab.error.url, tab.error.message, tab.error.blocked);
+        } else if (tab.content) {
+            this.renderPage(tab.content, tab.url);
+        } else if (tab.url) {
+            this.showUncachedPage(tab.url);
+        } else {
             this.showWelcomePage();
         }
     }
@@ -179,6 +468,15 @@ class FakeBrowser {
         const tab = this.tabs.get(id);
         if (!tab) return;
 
+        // Cancel anything still generating in it
+        this.stop(tab);
+
+        // Remember it so it can be reopened with its history
+        if (tab.history.length > 0) {
+            this.closedTabs.push(this.serializeTab(tab));
+            this.closedTabs = this.closedTabs.slice(-MAX_CLOSED_TABS);
+        }
+
         // Remove tab element
         const tabEl = this.tabsContainer.querySelector(`[data-tab-id="${id}"]`);
         if (tabEl) tabEl.remove();
@@ -196,6 +494,8 @@ class FakeBrowser {
                 this.createTab();
             }
         }
+
+        this.saveSession();
     }
 
     updateTabUI(id) {
@@ -207,84 +507,372 @@ class FakeBrowser {
             tabEl.querySelector('.tab-favicon').textContent = tab.favicon;
             tabEl.querySelector('.tab-title').textContent = tab.title;
         }
+
+        this.saveSession();
     }
 
     get activeTab() {
         return this.tabs.get(this.activeTabId);
     }
 
-    // ==================== Navigation ====================
+    isActive(tab) {
+        return this.activeTabId === tab.id && this.tabs.get(tab.id) === tab;
+    }
 
-    async navigate(url = null) {
-        if (this.isLoading) return;
+    // ==================== Session ====================
 
-        const tab = this.activeTab;
+    serializeTab(tab) {
+        return {
+            url: tab.url,
+            title: tab.title,
+            favicon: tab.favicon,
+            history: tab.history,
+            historyIndex: tab.historyIndex,
+            formRequest: tab.formRequest,
+            frozen: tab.frozen,
+            era: tab.era
+        };
+    }
+
+    // Coalesces the saves triggered by one change into a single write
+    saveSession() {
+        if (this.restoringSession || this.sessionSaveQueued) return;
+        this.sessionSaveQueued = true;
+
+        queueMicrotask(() => {
+            this.sessionSaveQueued = false;
+            const tabs = Array.from(this.tabs.values());
+            aiService.saveSession({
+                tabs: tabs.map(tab => this.serializeTab(tab)),
+                activeIndex: tabs.indexOf(this.activeTab),
+                closedTabs: this.closedTabs
+            }).catch(error => console.error('Session save error:', error));
+        });
+    }
+
+    // Reopens the saved tabs from the page cache without calling the model.
+    // Returns false when there was nothing to restore.
+    async restoreSession() {
+        let session = null;
+        try {
+            session = await aiService.loadSession();
+        } catch (error) {
+            console.error('Session restore error:', error);
+        }
+
+        this.closedTabs = session?.closedTabs || [];
+        if (!session || !session.tabs.length) return false;
+
+        this.restoringSession = true;
+        const tabs = [];
+        for (const state of session.tabs) {
+            const tab = this.addTab(state);
+            await this.loadTabFromCache(tab);
+            tabs.push(tab);
+        }
+        this.restoringSession = false;
+
+        const active = tabs[session.activeIndex] || tabs[tabs.length - 1];
+        this.switchToTab(active.id);
+        return true;
+    }
+
+    async loadTabFromCache(tab) {
+        if (!tab.url || this.isInternalUrl(tab.url)) return;
+        const context = await this.getTabContext(tab);
+        const urlBlocked = await aiService.checkUrlPolicy(tab.url, tab.formRequest, context);
+        const entry = !urlBlocked && await aiService.getCachedEntry(tab.url, tab.formRequest, context.variant);
+        const blocked = urlBlocked || (entry && await aiService.checkCachedPolicy(entry.html, context));
+        if (blocked) {
+            tab.content = null;
+            tab.error = { url: tab.url, message: blocked, blocked: true };
+            this.setTabVersions(tab, null);
+            tab.status = 'Blocked by the content policy';
+            return;
+        }
+
+        tab.content = entry ? entry.html : null;
+        this.setTabVersions(tab, entry);
+        tab.status = tab.content ? 'Restored from cache' : 'Not in the page cache';
+    }
+
+    async reopenClosedTab(index = this.closedTabs.length - 1) {
+        const state = this.closedTabs[index];
+        if (!state) return;
+
+        this.closedTabs.splice(index, 1);
+        const tab = this.addTab(state);
+        await this.loadTabFromCache(tab);
+        this.switchToTab(tab.id);
+    }
+
+    toggleClosedTabsMenu() {
+        if (!this.closedTabsMenu.hidden) {
+            this.closedTabsMenu.hidden = true;
+            return;
+        }
+
+        this.closedTabsMenu.innerHTML = '';
+
+        if (this.closedTabs.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'menu-empty';
+            empty.textContent = 'No recently closed tabs';
+            this.closedTabsMenu.appendChild(empty);
+        }
+
+        // Most recently closed first
+        for (let i = this.closedTabs.length - 1; i >= 0; i--) {
+            const state = this.closedTabs[i];
+            const item = document.createElement('button');
+            item.className = 'menu-item';
+            item.title = state.url || '';
+            item.innerHTML = `<span class="menu-icon">${state.favicon}</span><span class="menu-label"></span>`;
+            item.querySelector('.menu-label').textContent = state.title;
+            item.addEventListener('click', () => {
+                this.closedTabsMenu.hidden = true;
+                this.reopenClosedTab(i);
+            });
+            this.closedTabsMenu.appendChild(item);
+        }
+
+        this.closedTabsMenu.hidden = false;
+    }
+
+    // ==================== Navigation ====================
+
+    // Loads url into a tab (the active one unless options.tab is given).
+    // options.formRequest is set when a POST form was submitted to url,
+    // options.regenerate skips the cache to generate a new version, and
+    // options.generate lets a frozen tab call the model for this page.
+    async navigate(url = null, options = {}) {
+        const tab = options.tab || this.activeTab;
         if (!tab) return;
 
         url = url || this.urlBar.value.trim();
         if (!url) return;
 
+        const formRequest = options.formRequest || null;
+
         // Normalize URL
         url = this.normalizeUrl(url);
-        this.urlBar.value = url;
+        if (this.isActive(tab)) {
+            this.urlBar.value = url;
+        }
+
+        // Internal pages are rendered locally
+        if (this.isInternalUrl(url)) {
+            this.openInternalPage(tab, url);
+            return;
+        }
+
+        // Frozen tabs only read the cache, so they work without a provider
+        const mayGenerate = !tab.frozen || options.generate;
 
         // Check if API is configured
-        const configured = await aiService.isConfigured();
+        const configured = !mayGenerate || await aiService.isConfigured();
         if (!configured) {
             this.openSettings();
-            this.setStatus('Please configure your OpenRouter API key first');
+            this.setStatus('Please configure your API key first');
             return;
         }
 
+        // A new navigation replaces whatever this tab was still loading
+        this.stop(tab);
+        const controller = new AbortController();
+        tab.abortController = controller;
+        tab.pendingUrl = url;
+        tab.preview = null;
+
         // Start loading
-        this.setLoading(true);
-        this.setStatus(`Loading ${url}...`);
+        this.setLoading(tab, true);
+        this.setTabStatus(tab, `Loading ${url}...`);
+
+        let stopped = false;
+        // { model, usage } when the page is generated rather than cached
+        let generation = null;
 
         try {
-            let html;
+            // Pages made with another prompt profile are cached separately
+            const context = await this.getTabContext(tab, url);
+
+            // The blocklists are checked before anything is shown
+            const blocked = await aiService.checkUrlPolicy(url, formRequest, context);
+            if (blocked) {
+                throw new ContentPolicyError(blocked);
+            }
 
             // Check IndexedDB cache first
-            html = await aiService.getCachedPage(url);
+            let entry = options.regenerate ? null : await aiService.getCachedEntry(url, formRequest, context.variant);
+            const cachedBlocked = entry && await aiService.checkCachedPolicy(entry.html, context);
+            if (cachedBlocked) {
+                throw new ContentPolicyError(cachedBlocked);
+            }
 
-            if (!html) {
-                // Generate page via AI
-                html = await aiService.generatePage(url);
-                // Cache the result
-                await aiService.cachePage(url, html);
+            // Pinned bookmark snapshots survive clearing the cache. They
+            // show the page today, so they stand in only for the present day.
+            if (!entry && !formRequest && !options.regenerate && !context.era) {
+                const snapshot = await aiService.getBookmarkSnapshot(url);
+                if (snapshot && !await aiService.findPolicyViolation(snapshot, context)) {
+                    await aiService.cachePage(url, snapshot, null, null, context.variant);
+                    entry = await aiService.getCachedEntry(url, null, context.variant);
+                }
             }
 
-            // Update tab state
-            if (tab.url !== url) {
-                // Trim forward history when navigating to new page
-                if (tab.historyIndex < tab.history.length - 1) {
-                    tab.history = tab.history.slice(0, tab.historyIndex + 1);
+            if (!entry && !mayGenerate) {
+                // Show the "not generated yet" page, whose button generates on demand
+                this.pushHistory(tab, url, formRequest);
+                tab.url = url;
+                tab.content = null;
+                tab.formRequest = formRequest;
+                tab.error = null;
+                this.setTabVersions(tab, null);
+                this.updateTabInfo(tab, url, '');
+                if (this.isActive(tab)) {
+                    this.showUncachedPage(url);
+                    this.updateNavButtons();
                 }
-                tab.history.push(url);
-                tab.historyIndex = tab.history.length - 1;
+                this.setTabStatus(tab, 'Not generated yet - this tab is frozen');
+                return;
+            }
+
+            // A page that is already being prefetched is waited for, not generated twice
+            const key = aiService.getCacheKey(url, formRequest, context.variant);
+            if (!entry && !options.regenerate && prefetcher.isPending(key)) {
+                this.setTabStatus(tab, `Loading ${url}... (prefetching)`);
+                await prefetcher.waitFor(key, controller.signal);
+                entry = await aiService.getCachedEntry(url, formRequest, context.variant);
+            }
+
+            if (!entry) {
+                // Generate page via AI, previewing it as it streams in
+                const html = await aiService.generatePage(url, {
+                    context: context,
+                    formRequest: formRequest,
+                    signal: controller.signal,
+                    onChunk: (partial) => {
+                        this.queuePreview(tab, partial);
+                        this.setTabStatus(tab, `Generating ${url}... (${this.formatSize(partial.length)})`);
+                    },
+                    onRetry: (retry) => this.setTabStatus(tab, this.formatRetry(retry)),
+                    onResult: (result) => { generation = result; }
+                });
+                this.updateUsageUI();
+                // Cache the result as the page's newest version
+                await aiService.cachePage(url, html, formRequest, generation, context.variant);
+                // The first page of a site defines its identity - as it is today
+                if (!context.era) this.recordSiteBible(url, html);
+                entry = await aiService.getCachedEntry(url, formRequest, context.variant);
             }
 
+            controller.signal.throwIfAborted();
+            const html = entry.html;
+            const model = entry.model;
+
+            // Update tab state
+            this.pushHistory(tab, url, formRequest);
             tab.url = url;
             tab.content = html;
+            tab.formRequest = formRequest;
+            tab.error = null;
+            this.setTabVersions(tab, entry);
 
-            // Render the page
-            this.renderPage(html, url);
-
-            this.updateNavButtons();
-            this.setStatus('Done');
+            // Render the page, unless the user has switched to another tab
+            if (this.isActive(tab)) {
+                this.renderPage(html, url);
+                this.updateNavButtons();
+            }
+            if (generation) {
+                const fallback = generation.model !== this.currentSettings.model ? 'fallback model ' : '';
+                const repaired = generation.repaired ? ' - the page was cut off and has been repaired, refresh to try again' : '';
+                this.setTabStatus(tab, `Done - generated by ${fallback}${generation.model || 'the mock provider'}${repaired}`);
+            } else {
+                this.setTabStatus(tab, model ? `Done - cached page generated by ${model}` : 'Done');
+            }
 
             // Update tab title and favicon
             this.updateTabInfo(tab, url, html);
+            this.recordVisit(tab, url, model);
+            this.schedulePrefetch(tab);
 
         } catch (error) {
-            console.error('Navigation error:', error);
-            this.showErrorPage(url, error.message);
-            this.setStatus('Error loading page');
+            if (error.name === 'AbortError') {
+                stopped = true;
+                return;
+            }
+            const blocked = error.name === 'ContentPolicyError';
+            if (!blocked) {
+                console.error('Navigation error:', error);
+            }
+            // A blocked page still takes its place in the history, so Back leaves it
+            if (blocked) {
+                this.pushHistory(tab, url, formRequest);
+                tab.url = url;
+                tab.content = null;
+                tab.formRequest = formRequest;
+                this.setTabVersions(tab, null);
+                this.updateTabInfo(tab, url, '');
+                if (this.isActive(tab)) this.updateNavButtons();
+            }
+            tab.error = { url, message: error.message, blocked };
+            if (this.isActive(tab)) {
+                this.showErrorPage(url, error.message, blocked);
+            }
+            this.setTabStatus(tab, blocked ? 'Blocked by the content policy' : 'Error loading page');
         } finally {
-            this.setLoading(false);
+            // A newer navigation in this tab owns the loading state now
+            if (tab.abortController === controller) {
+                tab.abortController = null;
+                tab.pendingUrl = null;
+                tab.preview = null;
+                this.setLoading(tab, false);
+
+                if (stopped) {
+                    this.setTabStatus(tab, 'Stopped');
+                    if (this.isActive(tab)) {
+                        this.renderTab(tab);
+                    }
+                }
+            }
+        }
+    }
+
+    // Adds url to the tab's back/forward history, dropping any forward
+    // entries. formRequest is the POST submission that produced the page, so
+    // going back to it shows that result rather than the page at the URL.
+    pushHistory(tab, url, formRequest = null) {
+        if (tab.url === url && JSON.stringify(tab.formRequest) === JSON.stringify(formRequest)) return;
+
+        if (tab.historyIndex < tab.history.length - 1) {
+            tab.history = tab.history.slice(0, tab.historyIndex + 1);
+        }
+        tab.history.push({ url, formRequest });
+        tab.historyIndex = tab.history.length - 1;
+    }
+
+    // Adds a page view to the global browsing history
+    recordVisit(tab, url, model) {
+        aiService.addHistoryEntry({
+            url: url,
+            title: tab.title,
+            model: model || '',
+            tabId: tab.id
+        }).catch(error => console.error('History error:', error));
+    }
+
+    // Cancels the tab's in-flight generation, if any
+    stop(tab = this.activeTab) {
+        if (tab && tab.abortController) {
+            tab.abortController.abort();
         }
     }
 
     normalizeUrl(url) {
+        // Internal pages are used as-is, ignoring case
+        if (this.isInternalUrl(url)) {
+            return url.toLowerCase();
+        }
+
         // If it looks like a search query (no dots, no protocol)
         if (!url.includes('.') && !url.startsWith('http')) {
             return `https://google.com/search?q=${encodeURIComponent(url)}`;
@@ -303,20 +891,7 @@ class FakeBrowser {
         if (!tab || tab.historyIndex <= 0) return;
 
         tab.historyIndex--;
-        const url = tab.history[tab.historyIndex];
-        this.urlBar.value = url;
-        tab.url = url;
-
-        // Load from cache
-        const html = await aiService.getCachedPage(url);
-        if (html) {
-            tab.content = html;
-            this.renderPage(html, url);
-            this.updateTabInfo(tab, url, html);
-        } else {
-            await this.navigate(url);
-        }
-        this.updateNavButtons();
+        await this.loadHistoryEntry(tab);
     }
 
     async goForward() {
@@ -324,115 +899,377 @@ class FakeBrowser {
         if (!tab || tab.historyIndex >= tab.history.length - 1) return;
 
         tab.historyIndex++;
-        const url = tab.history[tab.historyIndex];
-        this.urlBar.value = url;
+        await this.loadHistoryEntry(tab);
+    }
+
+    // Shows the page at tab.historyIndex, from cache when possible
+    async loadHistoryEntry(tab) {
+        const { url, formRequest } = tab.history[tab.historyIndex];
+
+        this.stop(tab);
+        tab.error = null;
         tab.url = url;
+        tab.formRequest = formRequest;
+        if (this.isActive(tab)) {
+            this.urlBar.value = url;
+        }
 
-        // Load from cache
-        const html = await aiService.getCachedPage(url);
-        if (html) {
-            tab.content = html;
-            this.renderPage(html, url);
-            this.updateTabInfo(tab, url, html);
+        if (this.isInternalUrl(url)) {
+            this.openInternalPage(tab, url);
+            return;
+        }
+
+        // Load from cache; navigate shows why a blocked page isn't
+        const context = await this.getTabContext(tab, url);
+        const blocked = await aiService.checkUrlPolicy(url, formRequest, context);
+        let cached = !blocked && await aiService.getCachedEntry(url, formRequest, context.variant);
+        if (cached && await aiService.checkCachedPolicy(cached.html, context)) {
+            cached = null;
+        }
+        if (cached) {
+            tab.content = cached.html;
+            this.setTabVersions(tab, cached);
+            if (this.isActive(tab)) {
+                this.renderPage(cached.html, url);
+            }
+            this.updateTabInfo(tab, url, cached.html);
+            this.recordVisit(tab, url, cached.model);
+            this.schedulePrefetch(tab);
         } else {
-            await this.navigate(url);
+            await this.navigate(url, { tab: tab, formRequest: formRequest });
+        }
+
+        if (this.isActive(tab)) {
+            this.updateNavButtons();
         }
-        this.updateNavButtons();
     }
 
     async refresh() {
         const tab = this.activeTab;
         if (!tab || !tab.url) return;
 
-        // Clear cache for this URL to force regeneration
-        await aiService.clearCachedPage(tab.url);
-        await this.navigate(tab.url);
+        // Generate a new version, resubmitting any form; older versions stay
+        // available from the version picker. Frozen tabs just reload the cache.
+        await this.navigate(tab.url, { formRequest: tab.formRequest, regenerate: !tab.frozen });
     }
 
     goHome() {
-        const tab = this.activeTab;
-        if (!tab) return;
-
-        tab.url = null;
-        tab.title = 'New Tab';
-        tab.favicon = '🌐';
-        tab.content = null;
-
-        this.urlBar.value = '';
-        this.updateTabUI(this.activeTabId);
-        this.showWelcomePage();
+        this.navigate('about:home');
     }
 
     updateNavButtons() {
         const tab = this.activeTab;
         this.backBtn.disabled = !tab || tab.historyIndex <= 0;
         this.forwardBtn.disabled = !tab || tab.historyIndex >= tab.history.length - 1;
+        this.updateBookmarkButton();
+        this.updateVersionsButton();
     }
 
-    // ==================== Page Rendering ====================
+    // ==================== Page Versions ====================
 
-    renderPage(html, url, injectInterceptor = true) {
-        if (injectInterceptor) {
-            // Inject link interceptor script
-            const interceptorScript = this.getLinkInterceptorScript(url);
+    // Remembers which versions of the tab's page are cached and which one it
+    // shows (the canonical one unless versionId is given)
+    setTabVersions(tab, entry, versionId = null) {
+        tab.versions = entry
+            ? aiService.getEntryVersions(entry).map(v => ({ id: v.id, model: v.model, timestamp: v.timestamp, repaired: Boolean(v.repaired) }))
+            : [];
+        tab.canonicalId = entry ? aiService.getCanonicalVersionId(entry) : null;
+        tab.versionId = versionId ?? tab.canonicalId;
+        tab.cacheKey = entry ? entry.url : null;
 
-            // Insert script before closing body tag, or at the end
-            if (html.includes('</body>')) {
-                html = html.replace('</body>', `${interceptorScript}</body>`);
-            } else {
-                html += interceptorScript;
-            }
+        if (this.isActive(tab)) {
+            this.updateVersionsButton();
         }
+    }
 
-        // Inject strict Content Security Policy to prevent data exfiltration
-        // This blocks fetch/XHR/WebSocket but allows external images for realism
-        const cspMeta = `<meta http-equiv="Content-Security-Policy" content="default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; img-src https: http: data: blob:; font-src data:; media-src https: http: data: blob:; connect-src 'none'; form-action 'none'; base-uri 'none';">`;
+    // The picker only appears once a page has been generated more than once
+    updateVersionsButton() {
+        this.updateModelBadge();
 
-        // Insert CSP at the start of <head> or at the beginning of document
-        if (html.includes('<head>')) {
-            html = html.replace('<head>', `<head>${cspMeta}`);
-        } else if (html.includes('<html>')) {
-            html = html.replace('<html>', `<html><head>${cspMeta}</head>`);
-        } else {
-            html = cspMeta + html;
+        const tab = this.activeTab;
+        const show = Boolean(tab) && !tab.isLoading && !tab.error && tab.versions.length > 1;
+
+        this.versionsBtn.hidden = !show;
+        if (!show) {
+            this.versionsMenu.hidden = true;
+            return;
         }
 
-        // Set iframe content
-        this.contentFrame.srcdoc = html;
+        const index = tab.versions.findIndex(v => v.id === tab.versionId);
+        this.versionsBtn.textContent = `v${index + 1}/${tab.versions.length}`;
+        this.versionsBtn.classList.toggle('non-canonical', tab.versionId !== tab.canonicalId);
+        this.versionsBtn.title = tab.versionId === tab.canonicalId
+            ? 'Versions of this page'
+            : 'Versions of this page - showing a version other than the canonical one';
     }
 
-    getLinkInterceptorScript(baseUrl) {
-        return `
-        <script>
-        (function() {
-            // Parse base URL for resolving relative URLs
-            const baseUrl = '${baseUrl}';
-            const baseUrlObj = new URL(baseUrl);
+    // Names the model that generated the version on screen
+    updateModelBadge() {
+        const tab = this.activeTab;
+        const version = tab?.versions.find(v => v.id === tab.versionId);
+        const show = Boolean(version?.model) && !tab.isLoading && !tab.error;
 
-            function resolveUrl(href) {
-                if (!href || href.startsWith('javascript:') || href.startsWith('#')) {
-                    return null;
-                }
-                try {
-                    // Handle relative URLs
-                    if (href.startsWith('/')) {
-                        return baseUrlObj.origin + href;
-                    } else if (!href.startsWith('http')) {
-                        return new URL(href, baseUrl).href;
-                    }
-                    return href;
-                } catch (e) {
-                    return null;
-                }
-            }
+        this.modelBadge.hidden = !show;
+        if (show) {
+            this.modelBadge.textContent = version.model.split('/').pop();
+            this.modelBadge.title = `Generated by ${version.model}`;
+        }
+    }
 
-            // Intercept all link clicks
-            document.addEventListener('click', function(e) {
-                const link = e.target.closest('a');
-                if (link && link.href) {
-                    e.preventDefault();
-                    const resolvedUrl = resolveUrl(link.getAttribute('href'));
-                    if (resolvedUrl) {
+    toggleVersionsMenu() {
+        if (!this.versionsMenu.hidden) {
+            this.versionsMenu.hidden = true;
+            return;
+        }
+        this.eraMenu.hidden = true;
+        this.renderVersionsMenu();
+        this.versionsMenu.hidden = false;
+    }
+
+    renderVersionsMenu() {
+        const tab = this.activeTab;
+        this.versionsMenu.innerHTML = '';
+        if (!tab) return;
+
+        // Newest first
+        tab.versions.forEach((version, index) => {
+            const item = document.createElement('div');
+            item.className = 'menu-item';
+            item.classList.toggle('current', version.id === tab.versionId);
+            item.innerHTML = `
+                <span class="menu-icon">${version.id === tab.canonicalId ? '★' : ''}</span>
+                <span class="menu-label"></span>
+                <button class="menu-action" data-action="canonical" title="Make canonical - back/forward and links show this version">★</button>
+                <button class="menu-action" data-action="delete" title="Delete this version">&times;</button>
+            `;
+            item.querySelector('.menu-label').textContent = [
+                `v${index + 1}`,
+                version.model,
+                new Date(version.timestamp).toLocaleString(),
+                version.repaired ? 'cut off and repaired' : ''
+            ].filter(Boolean).join(' · ');
+            item.querySelector('[data-action="canonical"]').hidden = version.id === tab.canonicalId;
+
+            item.addEventListener('click', (e) => {
+                const action = e.target.closest('.menu-action')?.dataset.action;
+                if (action === 'canonical') {
+                    this.setCanonicalVersion(tab, version.id);
+                } else if (action === 'delete') {
+                    this.deleteVersion(tab, version.id);
+                } else {
+                    this.versionsMenu.hidden = true;
+                    this.showVersion(tab, version.id);
+                }
+            });
+            this.versionsMenu.prepend(item);
+        });
+
+        const prune = document.createElement('button');
+        prune.className = 'menu-item';
+        prune.innerHTML = '<span class="menu-icon"></span><span class="menu-label">Delete all but the canonical version</span>';
+        prune.addEventListener('click', () => {
+            this.versionsMenu.hidden = true;
+            this.pruneVersions(tab);
+        });
+        this.versionsMenu.appendChild(prune);
+    }
+
+    async showVersion(tab, id) {
+        const entry = tab.cacheKey && await aiService.getCacheRecord(tab.cacheKey);
+        const version = entry && aiService.getEntryVersions(entry).find(v => v.id === id);
+        if (!version) return;
+
+        const blocked = await aiService.checkCachedPolicy(version.html, await this.getTabContext(tab));
+        if (blocked) {
+            this.setTabStatus(tab, blocked);
+            return;
+        }
+
+        tab.content = version.html;
+        this.setTabVersions(tab, entry, id);
+        this.updateTabInfo(tab, tab.url, version.html);
+        if (this.isActive(tab)) {
+            this.renderPage(version.html, tab.url);
+        }
+        this.setTabStatus(tab, id === tab.canonicalId ? 'Showing the canonical version' : 'Showing an older version - mark it canonical to keep it');
+    }
+
+    async setCanonicalVersion(tab, id) {
+        const entry = await aiService.setCanonicalVersion(tab.cacheKey, id);
+        if (!entry) return;
+
+        this.setTabVersions(tab, entry, tab.versionId);
+        this.renderVersionsMenu();
+        this.setTabStatus(tab, 'Canonical version set');
+    }
+
+    async deleteVersion(tab, id) {
+        const entry = await aiService.deleteCacheVersion(tab.cacheKey, id);
+
+        if (!entry || tab.versionId === id) {
+            // The shown version is gone; fall back to the canonical one
+            tab.content = entry ? entry.html : null;
+            this.setTabVersions(tab, entry);
+            if (this.isActive(tab)) {
+                this.renderTab(tab);
+            }
+        } else {
+            this.setTabVersions(tab, entry, tab.versionId);
+        }
+
+        if (!this.versionsMenu.hidden) {
+            this.renderVersionsMenu();
+        }
+        this.setTabStatus(tab, 'Version deleted');
+    }
+
+    async pruneVersions(tab) {
+        // Without a key this would prune the whole cache
+        if (!tab.cacheKey) return;
+        const entry = await aiService.pruneCacheVersions(tab.cacheKey);
+        if (!entry) return;
+
+        tab.content = entry.html;
+        this.setTabVersions(tab, entry);
+        if (this.isActive(tab)) {
+            this.renderTab(tab);
+        }
+        this.setTabStatus(tab, 'Older versions deleted');
+    }
+
+    // ==================== Page Rendering ====================
+
+    renderPage(html, url, injectInterceptor = true) {
+        // Images are drawn locally; nothing in the page may reach the network
+        const rewritten = imageSynthesizer.rewriteImages(html);
+        html = rewritten.html;
+
+        if (injectInterceptor) {
+            // Inject link interceptor script
+            const interceptorScript = this.getLinkInterceptorScript(url);
+
+            // Insert script before closing body tag, or at the end
+            if (html.includes('</body>')) {
+                html = html.replace('</body>', `${interceptorScript}</body>`);
+            } else {
+                html += interceptorScript;
+            }
+        }
+
+        // Inject strict Content Security Policy to prevent data exfiltration.
+        // This blocks WebSocket, the real fetch/XHR and every remote image, font or media file.
+        const cspMeta = `<meta http-equiv="Content-Security-Policy" content="default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; img-src data: blob:; font-src data:; media-src data: blob:; connect-src 'none'; form-action 'none'; base-uri 'none';">`;
+
+        // The network shim has to be in place before the page's scripts run
+        const headMarkup = injectInterceptor ? cspMeta + this.getNetworkShimScript(url) : cspMeta;
+
+        // Set iframe content
+        this.contentFrame.srcdoc = this.injectIntoHead(html, headMarkup);
+        const renderId = ++this.renderCount;
+
+        // A find that is open carries over to the new page
+        this.findCount.textContent = '';
+        if (!this.findBar.hidden && this.findInput.value) {
+            this.contentFrame.addEventListener('load', () => {
+                if (renderId === this.renderCount) this.find(0);
+            }, { once: true });
+        }
+
+        if (imageSynthesizer.backend && rewritten.images.length > 0 && !this.isInternalUrl(url)) {
+            this.loadBackendImages(rewritten.images, url, renderId);
+        }
+    }
+
+    // Replaces placeholders with images from the image backend, one at a time,
+    // for as long as the same render is showing
+    async loadBackendImages(images, url, renderId) {
+        await new Promise(resolve => this.contentFrame.addEventListener('load', resolve, { once: true }));
+
+        let context = '';
+        try {
+            context = new URL(url).hostname;
+        } catch {
+            // No site context for the prompt
+        }
+
+        for (const image of images) {
+            const src = await imageSynthesizer.generate(image, context);
+            if (renderId !== this.renderCount) return;
+            if (src) {
+                this.contentFrame.contentWindow?.postMessage({ type: 'set-image', id: image.id, src: src }, '*');
+            }
+        }
+    }
+
+    injectIntoHead(html, markup) {
+        // Insert at the start of <head> or at the beginning of document
+        if (html.includes('<head>')) {
+            return html.replace('<head>', `<head>${markup}`);
+        } else if (html.includes('<html>')) {
+            return html.replace('<html>', `<html><head>${markup}</head>`);
+        }
+        return markup + html;
+    }
+
+    // Streamed HTML is re-rendered at most every PREVIEW_INTERVAL ms, since
+    // each srcdoc assignment reloads the frame. Only the active tab is drawn.
+    queuePreview(tab, html) {
+        tab.preview = html;
+        if (!this.isActive(tab) || this.previewTimer) return;
+
+        this.previewTimer = setTimeout(() => {
+            this.previewTimer = null;
+            const active = this.activeTab;
+            if (active && active.isLoading && active.preview) {
+                this.renderPreview(active.preview);
+            }
+        }, PREVIEW_INTERVAL);
+    }
+
+    renderPreview(html) {
+        // The document is still incomplete, so scripts are stripped and blocked
+        // outright; the finished page goes through renderPage as usual.
+        html = html.replace(/<script\b[\s\S]*?(<\/script>|$)/gi, '');
+        html = imageSynthesizer.rewriteImages(html).html;
+        this.renderCount++;
+
+        const cspMeta = `<meta http-equiv="Content-Security-Policy" content="default-src 'none'; script-src 'none'; style-src 'unsafe-inline'; img-src data: blob:; font-src data:; media-src data: blob:; connect-src 'none'; form-action 'none'; base-uri 'none';">`;
+
+        this.contentFrame.srcdoc = this.injectIntoHead(html, cspMeta);
+    }
+
+    getLinkInterceptorScript(baseUrl) {
+        return `
+        <script>
+        (function() {
+            // Parse base URL for resolving relative URLs
+            const baseUrl = '${baseUrl}';
+            const baseUrlObj = new URL(baseUrl);
+
+            function resolveUrl(href) {
+                if (!href || href.startsWith('javascript:') || href.startsWith('#')) {
+                    return null;
+                }
+                try {
+                    // Handle relative URLs
+                    if (href.startsWith('/')) {
+                        return baseUrlObj.origin + href;
+                    } else if (!href.startsWith('http')) {
+                        return new URL(href, baseUrl).href;
+                    }
+                    return href;
+                } catch (e) {
+                    return null;
+                }
+            }
+
+            // Intercept all link clicks
+            document.addEventListener('click', function(e) {
+                const link = e.target.closest('a');
+                if (link && link.href) {
+                    e.preventDefault();
+                    const resolvedUrl = resolveUrl(link.getAttribute('href'));
+                    if (resolvedUrl) {
                         // Ctrl+click or Cmd+click opens in new tab
                         const newTab = e.ctrlKey || e.metaKey;
                         window.parent.postMessage({
@@ -465,20 +1302,40 @@ class FakeBrowser {
                 const form = e.target;
                 e.preventDefault();
 
-                let url = form.action || baseUrl;
-                const formData = new FormData(form);
+                // form.action resolves against the parent page, so read the raw attribute
+                const resolvedUrl = resolveUrl(form.getAttribute('action') || baseUrl);
+                if (!resolvedUrl) return;
 
-                if (form.method?.toLowerCase() === 'get' || !form.method) {
-                    const params = new URLSearchParams(formData);
-                    const resolvedUrl = resolveUrl(url);
-                    if (resolvedUrl) {
-                        const urlObj = new URL(resolvedUrl);
-                        urlObj.search = params.toString();
-                        window.parent.postMessage({
-                            type: 'navigate',
-                            url: urlObj.href
-                        }, '*');
+                const formData = new FormData(form, e.submitter);
+                const method = (form.getAttribute('method') || 'get').toLowerCase();
+
+                if (method === 'post') {
+                    // Send fields as [name, value] pairs; files by name, passwords masked
+                    const body = [];
+                    for (const [name, value] of formData.entries()) {
+                        const field = form.elements[name];
+                        if (typeof value !== 'string') {
+                            body.push([name, value.name]);
+                        } else if (field && field.type === 'password') {
+                            body.push([name, '*'.repeat(value.length)]);
+                        } else {
+                            body.push([name, value]);
+                        }
                     }
+                    window.parent.postMessage({
+                        type: 'navigate',
+                        url: resolvedUrl,
+                        method: 'POST',
+                        body: body
+                    }, '*');
+                } else {
+                    const params = new URLSearchParams(formData);
+                    const urlObj = new URL(resolvedUrl);
+                    urlObj.search = params.toString();
+                    window.parent.postMessage({
+                        type: 'navigate',
+                        url: urlObj.href
+                    }, '*');
                 }
             });
 
@@ -494,6 +1351,109 @@ class FakeBrowser {
                 }
             });
 
+            // Find in page: matches are wrapped in <mark> elements
+            let findMarks = [];
+            let findIndex = -1;
+            let findQuery = '';
+
+            function clearFind() {
+                findMarks.forEach(function(mark) {
+                    const parent = mark.parentNode;
+                    if (!parent) return;
+                    parent.replaceChild(document.createTextNode(mark.textContent), mark);
+                    parent.normalize();
+                });
+                findMarks = [];
+                findIndex = -1;
+            }
+
+            function highlight(query) {
+                clearFind();
+                findQuery = query;
+                if (!query || !document.body) return;
+
+                if (!document.getElementById('__fb-find-style')) {
+                    const style = document.createElement('style');
+                    style.id = '__fb-find-style';
+                    style.textContent = 'mark.__fb-find { background: #ffeb3b; color: #000; } mark.__fb-find.__fb-current { background: #ff9632; }';
+                    document.head.appendChild(style);
+                }
+
+                const needle = query.toLowerCase();
+                const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+                    acceptNode: function(node) {
+                        const parent = node.parentElement;
+                        if (!parent || /^(SCRIPT|STYLE|NOSCRIPT|TEXTAREA)$/.test(parent.tagName)) return NodeFilter.FILTER_REJECT;
+                        return node.nodeValue.toLowerCase().includes(needle) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+                    }
+                });
+
+                const nodes = [];
+                while (walker.nextNode()) nodes.push(walker.currentNode);
+
+                nodes.forEach(function(node) {
+                    let rest = node;
+                    let index;
+                    while ((index = rest.nodeValue.toLowerCase().indexOf(needle)) !== -1) {
+                        const match = rest.splitText(index);
+                        rest = match.splitText(needle.length);
+                        const mark = document.createElement('mark');
+                        mark.className = '__fb-find';
+                        match.parentNode.replaceChild(mark, match);
+                        mark.appendChild(match);
+                        findMarks.push(mark);
+                    }
+                });
+            }
+
+            // direction 0 searches again from the top, 1 and -1 step through matches
+            function find(query, direction) {
+                if (query !== findQuery || direction === 0 || findMarks.some(function(m) { return !m.isConnected; })) {
+                    highlight(query);
+                    direction = 1;
+                }
+
+                if (findIndex >= 0 && findMarks[findIndex]) {
+                    findMarks[findIndex].classList.remove('__fb-current');
+                }
+                if (findMarks.length > 0) {
+                    findIndex = (findIndex + direction + findMarks.length) % findMarks.length;
+                    findMarks[findIndex].classList.add('__fb-current');
+                    findMarks[findIndex].scrollIntoView({ block: 'center' });
+                }
+
+                window.parent.postMessage({
+                    type: 'find-result',
+                    current: findMarks.length > 0 ? findIndex + 1 : 0,
+                    total: findMarks.length
+                }, '*');
+            }
+
+            window.addEventListener('message', function(e) {
+                if (e.source !== window.parent || !e.data) return;
+
+                if (e.data.type === 'set-image') {
+                    // Generated images from the image backend replace the placeholders
+                    const img = document.querySelector('img[data-fb-image="' + Number(e.data.id) + '"]');
+                    if (img && String(e.data.src).indexOf('data:image/') === 0) {
+                        img.src = e.data.src;
+                    }
+                } else if (e.data.type === 'find') {
+                    find(String(e.data.query || ''), Number(e.data.direction) || 0);
+                } else if (e.data.type === 'find-clear') {
+                    clearFind();
+                    findQuery = '';
+                }
+            });
+
+            // Ctrl+F inside the page opens the browser's find bar
+            document.addEventListener('keydown', function(e) {
+                if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
+                    e.preventDefault();
+                    window.parent.postMessage({ type: 'find-shortcut' }, '*');
+                }
+            });
+
             document.addEventListener('mouseout', function(e) {
                 const link = e.target.closest('a');
                 if (link) {
@@ -507,366 +1467,3221 @@ class FakeBrowser {
         <\/script>`;
     }
 
-    handleFrameMessage(event) {
-        const data = event.data;
-        if (!data || !data.type) return;
-
-        if (data.type === 'navigate') {
-            this.navigate(data.url);
-        } else if (data.type === 'navigate-new-tab') {
-            this.createTab(data.url);
-        } else if (data.type === 'hover') {
-            this.setStatus(data.url || 'Ready');
-        }
-    }
+    // Runs before the page's own scripts. The CSP blocks the network, so
+    // fetch and XMLHttpRequest are replaced with versions that ask the
+    // browser, which answers from the cache or the model.
+    getNetworkShimScript(baseUrl) {
+        return `
+        <script>
+        (function() {
+            const baseUrl = ${JSON.stringify(baseUrl)};
+            const pending = {};
+            let nextId = 0;
 
-    // ==================== Special Pages ====================
+            window.addEventListener('message', function(e) {
+                if (e.source !== window.parent || !e.data || e.data.type !== 'api-response') return;
+                const resolve = pending[e.data.id];
+                if (resolve) {
+                    delete pending[e.data.id];
+                    resolve(e.data);
+                }
+            });
 
-    async showWelcomePage() {
-        const configured = await aiService.isConfigured();
-        const warningDisplay = configured ? 'none' : 'block';
+            // Resolves with { status, statusText, contentType, body, url }
+            function request(method, url, headers, body) {
+                let resolvedUrl;
+                try {
+                    resolvedUrl = new URL(String(url), baseUrl).href;
+                } catch (err) {
+                    return Promise.reject(new TypeError('Invalid URL: ' + url));
+                }
+                return new Promise(function(resolve) {
+                    const id = ++nextId;
+                    pending[id] = resolve;
+                    window.parent.postMessage({
+                        type: 'api-request',
+                        id: id,
+                        method: String(method || 'GET').toUpperCase(),
+                        url: resolvedUrl,
+                        headers: headers,
+                        body: body
+                    }, '*');
+                });
+            }
 
-        const html = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <style>
-                * { margin: 0; padding: 0; box-sizing: border-box; }
-                body {
-                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                    min-height: 100vh;
-                    display: flex;
-                    justify-content: center;
-                    align-items: center;
+            // Bodies travel as text; form fields are URL-encoded and files sent by name
+            function bodyToString(body) {
+                if (body === undefined || body === null) return '';
+                if (typeof body === 'string') return body;
+                if (body instanceof URLSearchParams) return body.toString();
+                if (body instanceof FormData) {
+                    const params = new URLSearchParams();
+                    body.forEach(function(value, name) {
+                        params.append(name, typeof value === 'string' ? value : value.name);
+                    });
+                    return params.toString();
                 }
-                .container {
-                    background: white;
-                    border-radius: 20px;
-                    padding: 60px;
-                    max-width: 600px;
-                    width: 90%;
-                    box-shadow: 0 25px 50px -12px rgba(0,0,0,0.25);
-                    text-align: center;
+                return String(body);
+            }
+
+            function abortError() {
+                return new DOMException('The operation was aborted.', 'AbortError');
+            }
+
+            window.fetch = function(input, init) {
+                init = init || {};
+                const isRequest = input instanceof Request;
+                const method = init.method || (isRequest ? input.method : 'GET');
+                const signal = init.signal || (isRequest ? input.signal : null);
+                const headers = {};
+                new Headers(init.headers || (isRequest ? input.headers : undefined)).forEach(function(value, name) {
+                    headers[name] = value;
+                });
+
+                if (signal && signal.aborted) return Promise.reject(abortError());
+
+                const body = init.body !== undefined ? Promise.resolve(bodyToString(init.body))
+                    : isRequest && method.toUpperCase() !== 'GET' && method.toUpperCase() !== 'HEAD' ? input.text()
+                    : Promise.resolve('');
+
+                return new Promise(function(resolve, reject) {
+                    if (signal) signal.addEventListener('abort', function() { reject(abortError()); });
+                    body.then(function(text) {
+                        return request(method, isRequest ? input.url : input, headers, text);
+                    }).then(function(reply) {
+                        // A Response with one of these statuses can't have a body
+                        const empty = reply.status === 204 || reply.status === 205 || reply.status === 304;
+                        resolve(new Response(empty ? null : reply.body, {
+                            status: reply.status,
+                            statusText: reply.statusText,
+                            headers: { 'Content-Type': reply.contentType }
+                        }));
+                    }).catch(reject);
+                });
+            };
+
+            // Always asynchronous: a synchronous request can't wait for the browser
+            class FakeXMLHttpRequest extends EventTarget {
+                constructor() {
+                    super();
+                    this.readyState = 0;
+                    this.status = 0;
+                    this.statusText = '';
+                    this.responseType = '';
+                    this.response = '';
+                    this.responseText = '';
+                    this.responseURL = '';
+                    this.timeout = 0;
+                    this.withCredentials = false;
+                    this.upload = new EventTarget();
+                    this.requestHeaders = {};
+                    this.contentType = null;
+                    this.sendCount = 0;
                 }
-                h1 {
-                    font-size: 42px;
-                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                    -webkit-background-clip: text;
-                    -webkit-text-fill-color: transparent;
-                    background-clip: text;
-                    margin-bottom: 10px;
+
+                open(method, url) {
+                    this.method = method;
+                    this.url = url;
+                    this.requestHeaders = {};
+                    this.sendCount++;
+                    this.setReadyState(1);
                 }
-                .subtitle {
-                    color: #666;
-                    font-size: 18px;
-                    margin-bottom: 40px;
+
+                setRequestHeader(name, value) {
+                    this.requestHeaders[String(name).toLowerCase()] = String(value);
                 }
-                .features {
-                    text-align: left;
-                    margin-bottom: 40px;
+
+                overrideMimeType() {}
+
+                send(body) {
+                    const xhr = this;
+                    const sendCount = this.sendCount;
+                    this.dispatch('loadstart');
+                    request(this.method, this.url, this.requestHeaders, bodyToString(body)).then(function(reply) {
+                        if (sendCount !== xhr.sendCount) return;
+                        xhr.status = reply.status;
+                        xhr.statusText = reply.statusText;
+                        xhr.contentType = reply.contentType;
+                        xhr.responseURL = reply.url;
+                        xhr.setReadyState(2);
+                        xhr.setReadyState(3);
+                        xhr.responseText = reply.body;
+                        xhr.response = xhr.parseResponse(reply.body);
+                        xhr.setReadyState(4);
+                        xhr.dispatch('load');
+                        xhr.dispatch('loadend');
+                    }, function() {
+                        if (sendCount !== xhr.sendCount) return;
+                        xhr.setReadyState(4);
+                        xhr.dispatch('error');
+                        xhr.dispatch('loadend');
+                    });
                 }
-                .feature {
-                    display: flex;
-                    align-items: flex-start;
-                    gap: 15px;
-                    margin-bottom: 20px;
+
+                abort() {
+                    if (this.readyState === 0 || this.readyState === 4) return;
+                    this.sendCount++;
+                    this.setReadyState(4);
+                    this.dispatch('abort');
+                    this.dispatch('loadend');
+                    this.readyState = 0;
                 }
-                .feature-icon {
-                    font-size: 24px;
-                    width: 40px;
-                    text-align: center;
+
+                parseResponse(text) {
+                    if (this.responseType === 'json') {
+                        try {
+                            return JSON.parse(text);
+                        } catch (err) {
+                            return null;
+                        }
+                    }
+                    if (this.responseType === 'document') {
+                        return new DOMParser().parseFromString(text, 'text/html');
+                    }
+                    return text;
                 }
-                .feature-text h3 {
-                    color: #333;
-                    font-size: 16px;
-                    margin-bottom: 4px;
+
+                getResponseHeader(name) {
+                    return this.readyState >= 2 && String(name).toLowerCase() === 'content-type' ? this.contentType : null;
                 }
-                .feature-text p {
-                    color: #666;
-                    font-size: 14px;
-                    line-height: 1.5;
+
+                getAllResponseHeaders() {
+                    return this.readyState >= 2 ? 'content-type: ' + this.contentType + String.fromCharCode(13, 10) : '';
                 }
-                .suggestions h3 {
-                    color: #333;
-                    font-size: 12px;
-                    text-transform: uppercase;
-                    letter-spacing: 1px;
-                    margin-bottom: 15px;
+
+                setReadyState(state) {
+                    this.readyState = state;
+                    this.dispatch('readystatechange');
                 }
-                .suggestion-links {
+
+                dispatch(type) {
+                    const event = new Event(type);
+                    this.dispatchEvent(event);
+                    if (typeof this['on' + type] === 'function') {
+                        this['on' + type](event);
+                    }
+                }
+            }
+            ['UNSENT', 'OPENED', 'HEADERS_RECEIVED', 'LOADING', 'DONE'].forEach(function(name, value) {
+                FakeXMLHttpRequest[name] = value;
+                FakeXMLHttpRequest.prototype[name] = value;
+            });
+
+            window.XMLHttpRequest = FakeXMLHttpRequest;
+        })();
+        <\/script>`;
+    }
+
+    handleFrameMessage(event) {
+        const data = event.data;
+        if (!data || !data.type) return;
+
+        if (data.type === 'internal-action') {
+            // Only internal pages know the token
+            if (event.source === this.contentFrame.contentWindow && data.token === this.internalToken) {
+                this.handleInternalAction(data);
+            }
+            return;
+        }
+
+        if (data.type === 'generate') {
+            // Sent by the "not generated yet" page; a frozen tab makes an
+            // exception for it, so generated pages must not be able to send it
+            const tab = this.activeTab;
+            if (event.source === this.contentFrame.contentWindow && data.token === this.internalToken && tab?.url) {
+                this.navigate(tab.url, { formRequest: tab.formRequest, generate: true });
+            }
+            return;
+        }
+
+        if (data.type === 'navigate') {
+            if (data.method === 'POST' && Array.isArray(data.body)) {
+                const body = data.body.map(([name, value]) => [String(name), String(value)]);
+                this.navigate(data.url, { formRequest: { method: 'POST', body: body } });
+            } else {
+                this.navigate(data.url);
+            }
+        } else if (data.type === 'navigate-new-tab') {
+            // Links opened from a frozen tab stay frozen, and in its era
+            this.createTab(data.url, { frozen: Boolean(this.activeTab?.frozen), era: this.activeTab?.era ?? null });
+        } else if (data.type === 'hover') {
+            this.setStatus(data.url || this.activeTab?.status || 'Ready');
+            if (data.url && event.source === this.contentFrame.contentWindow) {
+                this.prefetchHoveredLink(String(data.url));
+            }
+        } else if (data.type === 'find-result' && event.source === this.contentFrame.contentWindow) {
+            this.showFindResult(Number(data.current), Number(data.total));
+        } else if (data.type === 'find-shortcut' && event.source === this.contentFrame.contentWindow) {
+            this.openFindBar();
+        } else if (data.type === 'api-request' && event.source === this.contentFrame.contentWindow) {
+            this.handleApiRequest(data);
+        }
+    }
+
+    // ==================== Simulated Backend ====================
+    // fetch and XMLHttpRequest calls from the page arrive here through the
+    // network shim; the model plays the site's server and the answers are
+    // cached so the same call always gets the same response.
+
+    async handleApiRequest(data) {
+        const tab = this.activeTab;
+        const renderId = this.renderCount;
+        const headers = {};
+        for (const [name, value] of Object.entries(data.headers || {})) {
+            headers[String(name)] = String(value);
+        }
+        const request = {
+            method: String(data.method || 'GET').toUpperCase(),
+            url: String(data.url || ''),
+            headers: headers,
+            body: String(data.body || '')
+        };
+
+        let reply;
+        try {
+            reply = await this.getApiResponse(tab, request);
+        } catch (error) {
+            if (error.name === 'ContentPolicyError') {
+                reply = { status: 451, contentType: 'text/plain', body: error.message };
+            } else {
+                console.error('Simulated backend error:', error);
+                reply = { status: 502, contentType: 'text/plain', body: error.message };
+            }
+        }
+
+        // The answer belongs to the page that asked
+        if (renderId !== this.renderCount) return;
+        this.contentFrame.contentWindow?.postMessage({
+            type: 'api-response',
+            id: data.id,
+            url: request.url,
+            status: reply.status,
+            statusText: this.getStatusText(reply.status),
+            contentType: reply.contentType,
+            body: reply.body
+        }, '*');
+    }
+
+    async getApiResponse(tab, request) {
+        if (!tab || this.isInternalUrl(tab.url) || !/^https?:/i.test(request.url)) {
+            return { status: 404, contentType: 'text/plain', body: 'Not found' };
+        }
+
+        // Responses are cached alongside the page that made the call
+        const context = await this.getTabContext(tab);
+        const variant = context.variant;
+        const cached = await aiService.getCachedApiResponse(request, variant);
+        if (cached) {
+            const blocked = await aiService.checkUrlPolicy(request.url, null, context) ||
+                await aiService.checkCachedPolicy(cached.body, context, 'response');
+            if (blocked) {
+                throw new ContentPolicyError(blocked);
+            }
+            return cached;
+        }
+
+        if (tab.frozen) {
+            return { status: 503, contentType: 'text/plain', body: 'This tab is frozen and the response was never generated' };
+        }
+        if (!await aiService.isConfigured()) {
+            return { status: 503, contentType: 'text/plain', body: 'No model is configured' };
+        }
+
+        // A page that repeats a call before the first answer arrives shares it
+        const key = aiService.getApiCacheKey(request, variant);
+        if (!this.pendingApiRequests.has(key)) {
+            const pageUrl = tab.url;
+            const pageHtml = tab.content || '';
+            const previousStatus = tab.status;
+            const generation = (async () => {
+                this.setTabStatus(tab, `Waiting for ${request.method} ${request.url}...`);
+                try {
+                    const response = await aiService.generateApiResponse(request, pageUrl, pageHtml, context);
+                    await aiService.cacheApiResponse(request, response, variant);
+                    return response;
+                } finally {
+                    this.pendingApiRequests.delete(key);
+                    this.updateUsageUI();
+                    if (tab.url === pageUrl && !tab.isLoading) this.setTabStatus(tab, previousStatus);
+                }
+            })();
+            this.pendingApiRequests.set(key, generation);
+        }
+        return this.pendingApiRequests.get(key);
+    }
+
+    getStatusText(status) {
+        return {
+            200: 'OK', 201: 'Created', 204: 'No Content', 400: 'Bad Request', 401: 'Unauthorized',
+            403: 'Forbidden', 404: 'Not Found', 409: 'Conflict', 422: 'Unprocessable Entity',
+            429: 'Too Many Requests', 451: 'Unavailable For Legal Reasons', 500: 'Internal Server Error', 502: 'Bad Gateway', 503: 'Service Unavailable'
+        }[status] || '';
+    }
+
+    // ==================== Find in Page ====================
+    // The page is sandboxed, so the interceptor script does the searching;
+    // the find bar sends it queries and shows what it reports back.
+
+    openFindBar() {
+        this.findBar.hidden = false;
+        this.findInput.focus();
+        this.findInput.select();
+        if (this.findInput.value) {
+            this.find(0);
+        }
+    }
+
+    closeFindBar() {
+        this.findBar.hidden = true;
+        this.findCount.textContent = '';
+        this.contentFrame.contentWindow?.postMessage({ type: 'find-clear' }, '*');
+    }
+
+    // direction 0 searches from the top, 1 and -1 step to the next or previous match
+    find(direction) {
+        const query = this.findInput.value;
+        if (!query) {
+            this.findCount.textContent = '';
+        }
+        this.contentFrame.contentWindow?.postMessage({ type: 'find', query: query, direction: direction }, '*');
+    }
+
+    showFindResult(current, total) {
+        if (this.findBar.hidden || !this.findInput.value) return;
+        this.findCount.textContent = total > 0 ? `${current} of ${total}` : 'No matches';
+        this.findCount.classList.toggle('no-matches', total === 0);
+    }
+
+    // ==================== Internal Pages ====================
+
+    // Internal pages render locally and never call the model. To add one,
+    // give it an entry here: render returns its HTML, and actions handle the
+    // internal-action messages its script posts.
+    createInternalPages() {
+        const bookmarkAction = async (data) => {
+            await this.handleBookmarkAction(data);
+            await this.refreshBookmarks();
+            this.refreshInternalPage('about:bookmarks');
+        };
+
+        return new Map([
+            ['about:home', {
+                title: 'New Tab',
+                favicon: '🏠',
+                description: 'The start page',
+                render: () => this.getHomePageHtml()
+            }],
+            ['about:settings', {
+                title: 'Settings',
+                favicon: '⚙️',
+                description: 'Provider, model and rendering options',
+                render: () => this.getSettingsPageHtml(),
+                actions: {
+                    'settings-update': (data) => this.updateSettingsFromPage(data),
+                    'settings-open': () => this.openSettings()
+                }
+            }],
+            ['about:cache', {
+                title: 'Page Cache',
+                favicon: '🗄️',
+                description: 'Generated pages stored in IndexedDB',
+                render: () => this.getCachePageHtml(),
+                actions: {
+                    'cache-delete': async (data) => {
+                        await aiService.deleteCacheEntry(String(data.key));
+                        this.refreshInternalPage('about:cache');
+                    },
+                    'cache-delete-domain': async (data) => {
+                        await aiService.deleteCacheDomain(String(data.domain));
+                        this.setStatus(`Removed cached pages for ${data.domain}`);
+                        this.refreshInternalPage('about:cache');
+                    },
+                    'cache-clear': () => this.clearCache(),
+                    'cache-prune': async () => {
+                        await aiService.pruneCacheVersions();
+                        this.setStatus('Deleted all but the canonical version of every page');
+                        this.refreshInternalPage('about:cache');
+                    },
+                    'cache-limit': (data) => this.setCacheLimit(data.limit),
+                    'world-export': (data) => this.exportWorld(Array.isArray(data.domains) ? data.domains.map(String) : null),
+                    'world-import': (data) => this.importWorld(String(data.text), data.conflict)
+                }
+            }],
+            ['about:history', {
+                title: 'History',
+                favicon: '🕘',
+                description: 'Pages visited in every tab',
+                render: () => this.getHistoryPageHtml(),
+                actions: {
+                    'history-delete': (data) => aiService.deleteHistoryEntry(Number(data.id)),
+                    'history-clear': async (data) => {
+                        await aiService.clearHistoryRange(Number(data.from), Number(data.to));
+                        this.setStatus('History cleared');
+                    }
+                }
+            }],
+            ['about:bookmarks', {
+                title: 'Bookmarks',
+                favicon: '⭐',
+                description: 'Bookmarks, folders and pinned snapshots',
+                render: () => this.getBookmarksPageHtml(),
+                actions: {
+                    'bookmark-update': bookmarkAction,
+                    'bookmark-delete': bookmarkAction,
+                    'bookmark-pin': bookmarkAction,
+                    'bookmark-folder-create': bookmarkAction
+                }
+            }],
+            ['about:about', {
+                title: 'About Pages',
+                favicon: '📋',
+                description: 'This list',
+                render: () => this.getAboutPageHtml()
+            }]
+        ]);
+    }
+
+    isInternalUrl(url) {
+        return /^about:/i.test(url);
+    }
+
+    openInternalPage(tab, url) {
+        const page = this.internalPages.get(url);
+
+        this.stop(tab);
+        this.pushHistory(tab, url);
+        tab.url = url;
+        tab.content = null;
+        tab.formRequest = null;
+        tab.error = null;
+        this.setTabVersions(tab, null);
+        tab.title = page ? page.title : url;
+        tab.favicon = page ? page.favicon : '⚙️';
+        this.updateTabUI(tab.id);
+        this.setTabStatus(tab, 'Done');
+
+        if (this.isActive(tab)) {
+            this.urlBar.value = url;
+            this.updateNavButtons();
+            this.renderTab(tab);
+        }
+    }
+
+    async renderInternalPage(url) {
+        const page = this.internalPages.get(url);
+        if (!page) {
+            this.showErrorPage(url, 'There is no internal page at this address. See about:about for the list.');
+            return;
+        }
+
+        const html = await page.render();
+
+        // The user may have moved on while the page's data loaded
+        if (this.activeTab?.url === url) {
+            this.renderPage(html, url);
+        }
+    }
+
+    // Re-renders an internal page if it is currently showing
+    refreshInternalPage(url) {
+        if (this.activeTab?.url === url) {
+            this.renderInternalPage(url);
+        }
+    }
+
+    // Runs an action posted by the internal page in the active tab. A tab
+    // with no address shows about:home.
+    async handleInternalAction(data) {
+        const page = this.internalPages.get(this.activeTab?.url || 'about:home');
+        const action = page?.actions?.[data.action];
+        if (action) {
+            await action(data);
+        }
+    }
+
+    // Embeds data in an internal page's script without letting it close the tag
+    toScriptJson(data) {
+        return JSON.stringify(data).replace(/</g, '\\u003c');
+    }
+
+    async getHistoryPageHtml() {
+        const entries = await aiService.getHistory();
+
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>History</title>
+            <style>
+                * { margin: 0; padding: 0; box-sizing: border-box; }
+                body {
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    background: #f5f5f5;
+                    color: #333;
+                    padding: 40px 20px;
+                }
+                .container {
+                    max-width: 800px;
+                    margin: 0 auto;
+                }
+                h1 {
+                    font-size: 28px;
+                    margin-bottom: 20px;
+                }
+                .toolbar {
                     display: flex;
-                    flex-wrap: wrap;
                     gap: 10px;
-                    justify-content: center;
+                    margin-bottom: 30px;
                 }
-                .suggestion-links a {
-                    background: #f0f0f0;
-                    color: #333;
-                    padding: 10px 18px;
-                    border-radius: 25px;
-                    text-decoration: none;
+                .toolbar input {
+                    flex: 1;
+                    padding: 10px 16px;
                     font-size: 14px;
-                    transition: all 0.2s;
+                    border: 2px solid #e0e0e0;
+                    border-radius: 25px;
+                    outline: none;
                 }
-                .suggestion-links a:hover {
+                .toolbar input:focus {
+                    border-color: #667eea;
+                }
+                .toolbar select,
+                .toolbar button {
+                    padding: 8px 14px;
+                    font-size: 13px;
+                    border: 1px solid #ddd;
+                    border-radius: 20px;
+                    background: white;
+                    cursor: pointer;
+                }
+                .toolbar button:hover {
                     background: #667eea;
+                    border-color: #667eea;
                     color: white;
                 }
-                .warning {
-                    margin-top: 30px;
-                    padding: 15px;
-                    background: #fff3cd;
-                    border-radius: 10px;
+                h2 {
+                    color: #666;
                     font-size: 13px;
-                    color: #856404;
-                    display: ${warningDisplay};
+                    text-transform: uppercase;
+                    letter-spacing: 1px;
+                    margin: 24px 0 8px;
                 }
-                .powered-by {
-                    margin-top: 30px;
-                    padding-top: 20px;
-                    border-top: 1px solid #eee;
+                .day {
+                    background: white;
+                    border-radius: 10px;
+                    overflow: hidden;
+                }
+                .entry {
+                    display: flex;
+                    align-items: center;
+                    gap: 14px;
+                    padding: 10px 16px;
+                    border-bottom: 1px solid #f0f0f0;
+                }
+                .entry:last-child {
+                    border-bottom: none;
+                }
+                .time {
                     color: #999;
                     font-size: 12px;
+                    width: 44px;
+                    flex-shrink: 0;
                 }
-                .powered-by a {
-                    color: #667eea;
+                .info {
+                    flex: 1;
+                    min-width: 0;
+                }
+                .info a {
+                    color: #333;
+                    font-size: 14px;
                     text-decoration: none;
+                    display: block;
+                    white-space: nowrap;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                }
+                .info a:hover {
+                    color: #667eea;
+                }
+                .meta {
+                    color: #999;
+                    font-size: 12px;
+                    white-space: nowrap;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                }
+                .delete {
+                    background: none;
+                    border: none;
+                    color: #bbb;
+                    font-size: 18px;
+                    cursor: pointer;
+                    padding: 4px 8px;
+                    border-radius: 4px;
+                }
+                .delete:hover {
+                    background: #f0f0f0;
+                    color: #333;
+                }
+                .empty {
+                    color: #999;
+                    text-align: center;
+                    padding: 60px 0;
                 }
             </style>
         </head>
         <body>
             <div class="container">
-                <h1>FakeBrowser</h1>
-                <p class="subtitle">The AI-Powered Imaginary Internet</p>
-
-                <div class="features">
-                    <div class="feature">
-                        <span class="feature-icon">🤖</span>
-                        <div class="feature-text">
-                            <h3>AI-Generated Pages</h3>
-                            <p>Every website is created on-the-fly by AI. No real internet connection needed!</p>
-                        </div>
-                    </div>
-                    <div class="feature">
-                        <span class="feature-icon">🌐</span>
-                        <div class="feature-text">
-                            <h3>Any URL Works</h3>
-                            <p>Type any URL and watch the AI imagine what that page would look like.</p>
-                        </div>
-                    </div>
-                    <div class="feature">
-                        <span class="feature-icon">🔗</span>
-                        <div class="feature-text">
-                            <h3>Working Links</h3>
-                            <p>Click links within pages to explore the imaginary web further.</p>
-                        </div>
-                    </div>
+                <h1>History</h1>
+                <div class="toolbar">
+                    <input type="text" id="search" placeholder="Search history" autofocus>
+                    <select id="range">
+                        <option value="3600000">Last hour</option>
+                        <option value="86400000">Last 24 hours</option>
+                        <option value="604800000">Last 7 days</option>
+                        <option value="2419200000">Last 4 weeks</option>
+                        <option value="all">All time</option>
+                    </select>
+                    <button id="clear">Clear range</button>
                 </div>
+                <div id="list"></div>
+            </div>
+            <script>
+            (function() {
+                let entries = ${this.toScriptJson(entries)};
+                const token = '${this.internalToken}';
+                const list = document.getElementById('list');
+                const search = document.getElementById('search');
 
-                <div class="suggestions">
-                    <h3>Try These Sites</h3>
-                    <div class="suggestion-links">
-                        <a href="https://google.com">Google</a>
-                        <a href="https://wikipedia.org">Wikipedia</a>
-                        <a href="https://amazon.com">Amazon</a>
-                        <a href="https://news.ycombinator.com">Hacker News</a>
-                        <a href="https://reddit.com">Reddit</a>
-                        <a href="https://github.com">GitHub</a>
-                    </div>
-                </div>
+                function send(action, data) {
+                    window.parent.postMessage(Object.assign({ type: 'internal-action', token: token, action: action }, data), '*');
+                }
 
-                <div class="warning">
-                    ⚠️ No API key configured. Click the ⚙️ settings button to add your OpenRouter API key.
-                </div>
+                function dayLabel(date) {
+                    const today = new Date();
+                    const yesterday = new Date(Date.now() - 86400000);
+                    if (date.toDateString() === today.toDateString()) return 'Today';
+                    if (date.toDateString() === yesterday.toDateString()) return 'Yesterday';
+                    return date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+                }
 
-                <div class="powered-by">
-                    Powered by <a href="https://openrouter.ai" target="_blank">OpenRouter</a> • All data stored locally in IndexedDB
-                </div>
-            </div>
+                function render() {
+                    const query = search.value.trim().toLowerCase();
+                    const visible = entries.filter(function(e) {
+                        return !query || e.url.toLowerCase().includes(query) || (e.title || '').toLowerCase().includes(query);
+                    });
+
+                    list.innerHTML = '';
+                    if (visible.length === 0) {
+                        const empty = document.createElement('p');
+                        empty.className = 'empty';
+                        empty.textContent = query ? 'No history matches your search' : 'No browsing history';
+                        list.appendChild(empty);
+                        return;
+                    }
+
+                    let currentDay = null;
+                    let dayEl = null;
+                    visible.forEach(function(e) {
+                        const date = new Date(e.timestamp);
+                        const day = date.toDateString();
+                        if (day !== currentDay) {
+                            currentDay = day;
+                            const heading = document.createElement('h2');
+                            heading.textContent = dayLabel(date);
+                            list.appendChild(heading);
+                            dayEl = document.createElement('div');
+                            dayEl.className = 'day';
+                            list.appendChild(dayEl);
+                        }
+
+                        const row = document.createElement('div');
+                        row.className = 'entry';
+                        row.innerHTML = '<span class="time"></span><div class="info"><a></a><div class="meta"></div></div><button class="delete" title="Remove from history">&times;</button>';
+                        row.querySelector('.time').textContent = date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+                        const link = row.querySelector('a');
+                        link.href = e.url;
+                        link.textContent = e.title || e.url;
+                        row.querySelector('.meta').textContent = e.url + (e.model ? ' · ' + e.model : '');
+                        row.querySelector('.delete').addEventListener('click', function() {
+                            entries = entries.filter(function(x) { return x.id !== e.id; });
+                            send('history-delete', { id: e.id });
+                            render();
+                        });
+                        dayEl.appendChild(row);
+                    });
+                }
+
+                search.addEventListener('input', render);
+
+                document.getElementById('clear').addEventListener('click', function() {
+                    const range = document.getElementById('range').value;
+                    const to = Date.now();
+                    const from = range === 'all' ? 0 : to - Number(range);
+                    entries = entries.filter(function(e) { return e.timestamp < from || e.timestamp > to; });
+                    send('history-clear', { from: from, to: to });
+                    render();
+                });
+
+                render();
+            })();
+            <\/script>
         </body>
         </html>`;
+    }
 
-        this.contentFrame.srcdoc = html;
-
-        // Inject interceptor after iframe loads
-        this.contentFrame.onload = () => {
-            const interceptor = this.getLinkInterceptorScript('about:home');
-            try {
-                this.contentFrame.contentDocument?.body?.insertAdjacentHTML('beforeend', interceptor);
-            } catch (e) {
-                // Cross-origin restrictions, ignore
-            }
+    async getSettingsPageHtml() {
+        const settings = this.currentSettings;
+        const provider = createProvider(settings);
+        const configured = await aiService.isConfigured();
+        const usage = await aiService.getUsageSummary();
+        const budget = await aiService.getBudgetStatus(usage);
+        const profiles = await aiService.getPromptProfiles();
+        const profileName = (id) => (profiles.find(p => p.id === id) || profiles[0]).name;
+        const summary = {
+            provider: provider.name,
+            baseUrl: provider.baseUrl || 'None',
+            model: settings.model || 'Not selected',
+            fallbackModels: settings.fallbackModels.length ? settings.fallbackModels.join(', ') : 'None',
+            maxRetries: String(settings.maxRetries),
+            apiKey: settings.apiKey ? 'Saved' : (provider.requiresKey ? 'Missing' : 'Not required'),
+            configured: configured,
+            device: settings.device,
+            devices: Object.entries(DEVICE_PROFILES).map(([id, device]) => [id, `${device.icon} ${device.name}`]),
+            streaming: settings.streaming,
+            prefetch: settings.prefetch,
+            prefetched: `${prefetcher.generated} pages, ${this.formatCost(prefetcher.spent)}`,
+            era: settings.era ? String(settings.era) : 'Present day',
+            policy: (CONTENT_POLICIES[settings.contentPolicy] || CONTENT_POLICIES.unrestricted).name + (settings.policyLock ? ' (locked)' : ''),
+            profile: profileName(settings.activeProfileId),
+            profileOverrides: Object.entries(settings.profileOverrides)
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([domain, id]) => [domain, profileName(id)]),
+            usage: [
+                ['This session', this.formatTokens(usage.session)],
+                ['Today', this.formatTokens(usage.today)],
+                ['This month', this.formatTokens(usage.month)]
+            ],
+            budget: budget.state === 'none'
+                ? 'None'
+                : `$${budget.spent.toFixed(2)} of $${budget.limit.toFixed(2)} per ${budget.period}`,
+            budgetState: budget.state,
+            models: usage.models.map(m => ({
+                model: m.model || '(none)',
+                requests: m.requests,
+                tokens: `${this.formatTokenCount(m.inputTokens)} in / ${this.formatTokenCount(m.outputTokens)} out`,
+                cost: m.unpriced === m.requests ? 'Unknown' : this.formatCost(m.cost) + (m.unpriced ? ` + ${m.unpriced} unpriced` : '')
+            }))
         };
-    }
 
-    showErrorPage(url, message) {
-        const html = `
+        return `
         <!DOCTYPE html>
         <html>
         <head>
+            <title>Settings</title>
             <style>
                 * { margin: 0; padding: 0; box-sizing: border-box; }
                 body {
                     font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
                     background: #f5f5f5;
-                    min-height: 100vh;
-                    display: flex;
-                    justify-content: center;
-                    align-items: center;
+                    color: #333;
+                    padding: 40px 20px;
+                }
+                .container {
+                    max-width: 700px;
+                    margin: 0 auto;
+                }
+                h1 {
+                    font-size: 28px;
+                    margin-bottom: 20px;
+                }
+                h2 {
+                    color: #666;
+                    font-size: 13px;
+                    text-transform: uppercase;
+                    letter-spacing: 1px;
+                    margin: 24px 0 8px;
+                }
+                .section {
+                    background: white;
+                    border-radius: 10px;
+                    overflow: hidden;
+                }
+                .row {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    gap: 14px;
+                    padding: 12px 16px;
+                    border-bottom: 1px solid #f0f0f0;
+                    font-size: 14px;
+                }
+                .row:last-child {
+                    border-bottom: none;
+                }
+                .value {
+                    color: #666;
+                    word-break: break-all;
+                    text-align: right;
+                }
+                .missing {
+                    color: #c0392b;
+                }
+                .warning {
+                    color: #b7791f;
+                }
+                table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    font-size: 13px;
+                }
+                th, td {
+                    padding: 10px 16px;
+                    border-bottom: 1px solid #f0f0f0;
+                    text-align: right;
+                }
+                th:first-child, td:first-child {
+                    text-align: left;
+                    word-break: break-all;
+                }
+                th {
+                    color: #999;
+                    font-weight: normal;
+                }
+                .hint {
+                    color: #999;
+                    font-size: 12px;
+                }
+                button {
+                    padding: 8px 16px;
+                    font-size: 13px;
+                    border: 1px solid #ddd;
+                    border-radius: 20px;
+                    background: white;
+                    cursor: pointer;
+                }
+                button:hover {
+                    background: #667eea;
+                    border-color: #667eea;
+                    color: white;
+                }
+                a {
+                    color: #667eea;
+                }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <h1>Settings</h1>
+
+                <h2>Model</h2>
+                <div class="section">
+                    <div class="row"><span>Provider</span><span class="value" id="provider"></span></div>
+                    <div class="row"><span>Endpoint</span><span class="value" id="base-url"></span></div>
+                    <div class="row"><span>Model</span><span class="value" id="model"></span></div>
+                    <div class="row"><span>Fallback models</span><span class="value" id="fallback-models"></span></div>
+                    <div class="row"><span>Retries per model</span><span class="value" id="max-retries"></span></div>
+                    <div class="row"><span>API key</span><span class="value" id="api-key"></span></div>
+                    <div class="row"><span class="hint">Providers, keys and models are edited in the settings dialog.</span><button id="open">Edit…</button></div>
+                </div>
+
+                <h2>Rendering</h2>
+                <div class="section">
+                    <div class="row">
+                        <label for="device">Device<div class="hint">Generate pages for this device and show them at its screen size</div></label>
+                        <select id="device"></select>
+                    </div>
+                    <div class="row">
+                        <label for="streaming">Progressive rendering<div class="hint">Show pages while they are being generated</div></label>
+                        <input type="checkbox" id="streaming">
+                    </div>
+                    <div class="row">
+                        <label for="prefetch">Prefetch links<div class="hint">Generate the links you are likely to click next in the background. Limits are set in the settings dialog.</div></label>
+                        <input type="checkbox" id="prefetch">
+                    </div>
+                    <div class="row"><span>Default era for new tabs</span><span class="value" id="era"></span></div>
+                    <div class="row"><span>Content policy</span><span class="value" id="policy"></span></div>
+                </div>
+
+                <h2>Prompt profiles</h2>
+                <div class="section" id="profiles">
+                    <div class="row"><span>Active profile</span><span class="value" id="profile"></span></div>
+                    <div class="row"><span class="hint">Profiles are edited in the settings dialog and picked per site in its Site Bible.</span></div>
+                </div>
+
+                <h2>Usage</h2>
+                <div class="section" id="usage">
+                    <div class="row"><span>Budget</span><span class="value" id="budget"></span></div>
+                    <div class="row"><span>Prefetched this session</span><span class="value" id="prefetched"></span></div>
+                </div>
+
+                <h2>This month by model</h2>
+                <div class="section">
+                    <table>
+                        <thead><tr><th>Model</th><th>Requests</th><th>Tokens</th><th>Cost</th></tr></thead>
+                        <tbody id="models"></tbody>
+                    </table>
+                </div>
+
+                <h2>Data</h2>
+                <div class="section">
+                    <div class="row"><a href="about:cache">Page cache</a></div>
+                    <div class="row"><a href="about:history">History</a></div>
+                    <div class="row"><a href="about:bookmarks">Bookmarks</a></div>
+                </div>
+            </div>
+            <script>
+            (function() {
+                const settings = ${this.toScriptJson(summary)};
+                const token = '${this.internalToken}';
+
+                function send(action, data) {
+                    window.parent.postMessage(Object.assign({ type: 'internal-action', token: token, action: action }, data), '*');
+                }
+
+                document.getElementById('provider').textContent = settings.provider;
+                document.getElementById('base-url').textContent = settings.baseUrl;
+                document.getElementById('model').textContent = settings.model;
+                document.getElementById('fallback-models').textContent = settings.fallbackModels;
+                document.getElementById('max-retries').textContent = settings.maxRetries;
+                const apiKey = document.getElementById('api-key');
+                apiKey.textContent = settings.apiKey;
+                apiKey.classList.toggle('missing', !settings.configured);
+
+                document.getElementById('open').addEventListener('click', function() {
+                    send('settings-open', {});
+                });
+
+                document.getElementById('era').textContent = settings.era;
+                document.getElementById('policy').textContent = settings.policy;
+                document.getElementById('profile').textContent = settings.profile;
+                const profiles = document.getElementById('profiles');
+                const profileHint = profiles.lastElementChild;
+                settings.profileOverrides.forEach(function(item) {
+                    const row = document.createElement('div');
+                    row.className = 'row';
+                    row.innerHTML = '<span></span><span class="value"></span>';
+                    row.firstChild.textContent = item[0];
+                    row.lastChild.textContent = item[1];
+                    profiles.insertBefore(row, profileHint);
+                });
+
+                const usage = document.getElementById('usage');
+                const budgetRow = usage.firstElementChild;
+                settings.usage.forEach(function(item) {
+                    const row = document.createElement('div');
+                    row.className = 'row';
+                    row.innerHTML = '<span></span><span class="value"></span>';
+                    row.firstChild.textContent = item[0];
+                    row.lastChild.textContent = item[1];
+                    usage.insertBefore(row, budgetRow);
+                });
+                const budget = document.getElementById('budget');
+                budget.textContent = settings.budget;
+                budget.classList.toggle('warning', settings.budgetState === 'warning');
+                budget.classList.toggle('missing', settings.budgetState === 'exceeded');
+                document.getElementById('prefetched').textContent = settings.prefetched;
+
+                const models = document.getElementById('models');
+                if (settings.models.length === 0) {
+                    models.innerHTML = '<tr><td class="hint" colspan="4">No requests yet this month</td></tr>';
+                }
+                settings.models.forEach(function(m) {
+                    const row = document.createElement('tr');
+                    [m.model, m.requests, m.tokens, m.cost].forEach(function(value) {
+                        const cell = document.createElement('td');
+                        cell.textContent = value;
+                        row.appendChild(cell);
+                    });
+                    models.appendChild(row);
+                });
+
+                const device = document.getElementById('device');
+                settings.devices.forEach(function(item) {
+                    const option = document.createElement('option');
+                    option.value = item[0];
+                    option.textContent = item[1];
+                    device.appendChild(option);
+                });
+                device.value = settings.device;
+                device.addEventListener('change', function() {
+                    send('settings-update', { device: device.value });
+                });
+
+                const streaming = document.getElementById('streaming');
+                streaming.checked = settings.streaming;
+                streaming.addEventListener('change', function() {
+                    send('settings-update', { streaming: streaming.checked });
+                });
+
+                const prefetch = document.getElementById('prefetch');
+                prefetch.checked = settings.prefetch;
+                prefetch.addEventListener('change', function() {
+                    send('settings-update', { prefetch: prefetch.checked });
+                });
+            })();
+            <\/script>
+        </body>
+        </html>`;
+    }
+
+    // Tokens and cost of generating every version of a cache entry, or ''
+    // for pages cached before usage was tracked
+    formatEntryUsage(entry) {
+        const versions = aiService.getEntryVersions(entry).filter(v => v.usage);
+        if (versions.length === 0) return '';
+
+        const tokens = versions.reduce((total, v) => total + v.usage.inputTokens + v.usage.outputTokens, 0);
+        const priced = versions.filter(v => v.usage.cost !== null);
+        const cost = priced.length > 0 ? ' · ' + this.formatCost(priced.reduce((total, v) => total + v.usage.cost, 0)) : '';
+        return `${this.formatTokenCount(tokens)} tokens${cost}`;
+    }
+
+    // What a cache variant was generated with, for display
+    describeVariant(variant, profiles) {
+        const parts = aiService.parseVariant(variant);
+        const labels = [];
+        if (parts.profile) {
+            const [id, revision] = parts.profile.split('@');
+            const profile = profiles.find(p => p.id === id);
+            if (!profile) {
+                labels.push('deleted profile');
+            } else {
+                const outdated = revision !== aiService.getProfileRevision(profile);
+                labels.push(`${profile.name} profile${outdated ? ' (earlier prompts)' : ''}`);
+            }
+        }
+        if (parts.device) {
+            labels.push(DEVICE_PROFILES[parts.device]?.name || parts.device);
+        }
+        if (parts.era) {
+            labels.push(`as of ${parts.era}`);
+        }
+        if (parts.policy) {
+            labels.push(CONTENT_POLICIES[parts.policy]?.name || parts.policy);
+        }
+        return labels.join(' · ');
+    }
+
+    async getCachePageHtml() {
+        const profiles = await aiService.getPromptProfiles();
+        // The page only needs sizes, not the cached HTML itself
+        const entries = (await aiService.getCacheEntries()).map(e => ({
+            key: e.url,
+            url: e.pageUrl || e.url,
+            domain: aiService.getSiteDomain(e.pageUrl || e.url) || 'other',
+            method: e.method || 'GET',
+            kind: e.kind || 'page',
+            model: e.model,
+            timestamp: e.timestamp,
+            lastAccessed: aiService.getEntryLastAccessed(e),
+            size: aiService.getEntrySize(e),
+            versions: aiService.getEntryVersions(e).length,
+            usage: this.formatEntryUsage(e),
+            variant: this.describeVariant(e.variant, profiles)
+        }));
+        const limit = this.currentSettings.cacheLimitMB;
+
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>Page Cache</title>
+            <style>
+                * { margin: 0; padding: 0; box-sizing: border-box; }
+                body {
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    background: #f5f5f5;
+                    color: #333;
+                    padding: 40px 20px;
+                }
+                .container {
+                    max-width: 800px;
+                    margin: 0 auto;
+                }
+                h1 {
+                    font-size: 28px;
+                    margin-bottom: 20px;
+                }
+                .toolbar {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    margin-bottom: 12px;
+                    font-size: 13px;
+                    color: #666;
+                }
+                .summary {
+                    flex: 1;
+                    font-size: 14px;
+                }
+                .toolbar input {
+                    width: 70px;
+                    padding: 6px 10px;
+                    font-size: 13px;
+                    border: 1px solid #ddd;
+                    border-radius: 6px;
+                    outline: none;
+                }
+                .toolbar input:focus {
+                    border-color: #667eea;
+                }
+                button {
+                    padding: 6px 14px;
+                    font-size: 13px;
+                    border: 1px solid #ddd;
+                    border-radius: 20px;
+                    background: white;
+                    cursor: pointer;
+                }
+                button:hover {
+                    background: #667eea;
+                    border-color: #667eea;
+                    color: white;
+                }
+                .usage {
+                    height: 6px;
+                    background: #e0e0e0;
+                    border-radius: 3px;
+                    overflow: hidden;
+                    margin-bottom: 16px;
+                }
+                .archive {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    margin-bottom: 30px;
+                    font-size: 13px;
+                }
+                .archive .spacer {
+                    flex: 1;
+                }
+                .archive input[type="file"] {
+                    max-width: 200px;
+                }
+                .archive select {
+                    padding: 6px 10px;
+                    font-size: 13px;
+                    border: 1px solid #ddd;
+                    border-radius: 6px;
+                    background: white;
+                }
+                button:disabled {
+                    opacity: 0.5;
+                    cursor: default;
+                }
+                .usage-fill {
+                    height: 100%;
+                    background: #667eea;
+                }
+                .domain {
+                    background: white;
+                    border-radius: 10px;
+                    overflow: hidden;
+                    margin-bottom: 16px;
+                }
+                .domain-header {
+                    display: flex;
+                    align-items: center;
+                    gap: 14px;
+                    padding: 10px 16px;
+                    background: #fafafa;
+                    border-bottom: 1px solid #f0f0f0;
+                }
+                .domain-name {
+                    flex: 1;
+                    font-weight: 600;
+                    font-size: 14px;
+                }
+                .entry {
+                    display: flex;
+                    align-items: center;
+                    gap: 14px;
+                    padding: 10px 16px;
+                    border-bottom: 1px solid #f0f0f0;
+                }
+                .entry:last-child {
+                    border-bottom: none;
+                }
+                .info {
+                    flex: 1;
+                    min-width: 0;
+                }
+                .info a {
+                    color: #333;
+                    font-size: 14px;
+                    text-decoration: none;
+                    display: block;
+                    white-space: nowrap;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                }
+                .info a:hover {
+                    color: #667eea;
+                }
+                .meta {
+                    color: #999;
+                    font-size: 12px;
+                }
+                .delete {
+                    background: none;
+                    border: none;
+                    color: #bbb;
+                    font-size: 18px;
+                    padding: 4px 8px;
+                    border-radius: 4px;
+                }
+                .delete:hover {
+                    background: #f0f0f0;
+                    color: #333;
+                }
+                .empty {
+                    color: #999;
+                    text-align: center;
+                    padding: 60px 0;
+                }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <h1>Page Cache</h1>
+                <div class="toolbar">
+                    <span class="summary" id="summary"></span>
+                    <label for="limit">Limit (MB, 0 = none)</label>
+                    <input type="number" id="limit" min="0" step="1">
+                    <button id="prune">Delete old versions</button>
+                    <button id="clear">Clear all</button>
+                </div>
+                <div class="usage"><div class="usage-fill" id="usage"></div></div>
+                <div class="archive">
+                    <button id="export-selected" disabled>Export selected sites</button>
+                    <button id="export-all">Export all</button>
+                    <span class="spacer"></span>
+                    <input type="file" id="import-file" accept=".json,application/json">
+                    <select id="conflict" title="When an imported page is already cached">
+                        <option value="skip">Keep existing pages</option>
+                        <option value="overwrite">Overwrite existing pages</option>
+                        <option value="versions">Keep both as versions</option>
+                    </select>
+                    <button id="import">Import</button>
+                </div>
+                <div id="list"></div>
+            </div>
+            <script>
+            (function() {
+                const entries = ${this.toScriptJson(entries)};
+                const limit = ${Number(limit) || 0};
+                const token = '${this.internalToken}';
+                const list = document.getElementById('list');
+
+                function send(action, data) {
+                    window.parent.postMessage(Object.assign({ type: 'internal-action', token: token, action: action }, data), '*');
+                }
+
+                function formatSize(bytes) {
+                    if (bytes < 1024) return bytes + ' B';
+                    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+                    return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+                }
+
+                function formatAge(timestamp) {
+                    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+                    if (minutes < 1) return 'just now';
+                    if (minutes < 60) return minutes + ' min ago';
+                    const hours = Math.floor(minutes / 60);
+                    if (hours < 24) return hours + ' h ago';
+                    return Math.floor(hours / 24) + ' d ago';
+                }
+
+                const total = entries.reduce(function(sum, e) { return sum + e.size; }, 0);
+                document.getElementById('summary').textContent = entries.length + ' pages · ' + formatSize(total) +
+                    (limit ? ' of ' + limit + ' MB' : '');
+                document.getElementById('usage').style.width = limit ? Math.min(100, total / (limit * 1024 * 1024) * 100) + '%' : '0';
+
+                const limitInput = document.getElementById('limit');
+                limitInput.value = limit;
+                limitInput.addEventListener('change', function() {
+                    send('cache-limit', { limit: limitInput.value });
+                });
+
+                document.getElementById('clear').addEventListener('click', function() {
+                    send('cache-clear', {});
+                });
+
+                document.getElementById('prune').addEventListener('click', function() {
+                    send('cache-prune', {});
+                });
+
+                // World archives: the file is read here and its text handed to the browser
+                const selected = new Set();
+                const exportSelected = document.getElementById('export-selected');
+                exportSelected.addEventListener('click', function() {
+                    send('world-export', { domains: Array.from(selected) });
+                });
+                document.getElementById('export-all').addEventListener('click', function() {
+                    send('world-export', { domains: null });
+                });
+                document.getElementById('import').addEventListener('click', function() {
+                    const file = document.getElementById('import-file').files[0];
+                    if (!file) return;
+                    file.text().then(function(text) {
+                        send('world-import', { text: text, conflict: document.getElementById('conflict').value });
+                    });
+                });
+
+                if (entries.length === 0) {
+                    list.innerHTML = '<p class="empty">The page cache is empty</p>';
+                    return;
+                }
+
+                // Group by domain, largest first; pages within a domain by last access
+                const domains = new Map();
+                entries.forEach(function(e) {
+                    if (!domains.has(e.domain)) domains.set(e.domain, []);
+                    domains.get(e.domain).push(e);
+                });
+                const groups = Array.from(domains, function(pair) {
+                    return { name: pair[0], entries: pair[1], size: pair[1].reduce(function(sum, e) { return sum + e.size; }, 0) };
+                }).sort(function(a, b) { return b.size - a.size; });
+
+                groups.forEach(function(group) {
+                    const section = document.createElement('div');
+                    section.className = 'domain';
+
+                    const header = document.createElement('div');
+                    header.className = 'domain-header';
+                    header.innerHTML = '<input type="checkbox" title="Select for export"><span class="domain-name"></span><span class="meta"></span><button>Delete</button>';
+                    header.querySelector('.domain-name').textContent = group.name;
+                    const checkbox = header.querySelector('input');
+                    checkbox.addEventListener('change', function() {
+                        if (checkbox.checked) {
+                            selected.add(group.name);
+                        } else {
+                            selected.delete(group.name);
+                        }
+                        exportSelected.disabled = selected.size === 0;
+                    });
+                    header.querySelector('.meta').textContent = group.entries.length + ' pages · ' + formatSize(group.size);
+                    header.querySelector('button').addEventListener('click', function() {
+                        send('cache-delete-domain', { domain: group.name });
+                    });
+                    section.appendChild(header);
+
+                    group.entries.sort(function(a, b) { return b.lastAccessed - a.lastAccessed; });
+                    group.entries.forEach(function(e) {
+                        const row = document.createElement('div');
+                        row.className = 'entry';
+                        row.innerHTML = '<div class="info"><a></a><div class="meta"></div></div><button class="delete" title="Remove from cache">&times;</button>';
+                        const link = row.querySelector('a');
+                        if (e.kind === 'api') {
+                            link.textContent = 'API ' + e.method + ' ' + e.url;
+                        } else {
+                            link.textContent = (e.method === 'POST' ? 'POST ' : '') + e.url;
+                        }
+                        if (e.method !== 'POST' && e.kind !== 'api') {
+                            link.href = e.url;
+                        }
+                        row.querySelector('.meta').textContent = [
+                            formatSize(e.size),
+                            e.versions > 1 ? e.versions + ' versions' : '',
+                            e.variant,
+                            'generated ' + formatAge(e.timestamp),
+                            'last opened ' + formatAge(e.lastAccessed),
+                            e.usage,
+                            e.model
+                        ].filter(Boolean).join(' · ');
+                        row.querySelector('.delete').addEventListener('click', function() {
+                            send('cache-delete', { key: e.key });
+                        });
+                        section.appendChild(row);
+                    });
+
+                    list.appendChild(section);
+                });
+            })();
+            <\/script>
+        </body>
+        </html>`;
+    }
+
+    getAboutPageHtml() {
+        const rows = Array.from(this.internalPages, ([url, page]) => `
+                    <div class="entry">
+                        <span class="icon">${page.favicon}</span>
+                        <a href="${url}">${url}</a>
+                        <span class="description">${this.escapeHtml(page.description)}</span>
+                    </div>`).join('');
+
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>About Pages</title>
+            <style>
+                * { margin: 0; padding: 0; box-sizing: border-box; }
+                body {
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    background: #f5f5f5;
+                    color: #333;
+                    padding: 40px 20px;
+                }
+                .container {
+                    max-width: 700px;
+                    margin: 0 auto;
+                }
+                h1 {
+                    font-size: 28px;
+                    margin-bottom: 20px;
+                }
+                .list {
+                    background: white;
+                    border-radius: 10px;
+                    overflow: hidden;
+                }
+                .entry {
+                    display: flex;
+                    align-items: center;
+                    gap: 14px;
+                    padding: 12px 16px;
+                    border-bottom: 1px solid #f0f0f0;
+                    font-size: 14px;
+                }
+                .entry:last-child {
+                    border-bottom: none;
+                }
+                .icon {
+                    width: 24px;
+                    text-align: center;
+                }
+                a {
+                    color: #667eea;
+                    width: 140px;
+                    text-decoration: none;
+                }
+                .description {
+                    color: #999;
+                }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <h1>About Pages</h1>
+                <div class="list">${rows}
+                </div>
+            </div>
+        </body>
+        </html>`;
+    }
+
+    // ==================== Special Pages ====================
+
+    // Shown in tabs with no address, and at about:home
+    async showWelcomePage() {
+        this.renderPage(await this.getHomePageHtml(), 'about:home');
+    }
+
+    async getHomePageHtml() {
+        const configured = await aiService.isConfigured();
+        const warningDisplay = configured ? 'none' : 'block';
+
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>New Tab</title>
+            <style>
+                * { margin: 0; padding: 0; box-sizing: border-box; }
+                body {
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                    min-height: 100vh;
+                    display: flex;
+                    justify-content: center;
+                    align-items: center;
+                }
+                .container {
+                    background: white;
+                    border-radius: 20px;
+                    padding: 60px;
+                    max-width: 600px;
+                    width: 90%;
+                    box-shadow: 0 25px 50px -12px rgba(0,0,0,0.25);
+                    text-align: center;
+                }
+                h1 {
+                    font-size: 42px;
+                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                    -webkit-background-clip: text;
+                    -webkit-text-fill-color: transparent;
+                    background-clip: text;
+                    margin-bottom: 10px;
+                }
+                .subtitle {
+                    color: #666;
+                    font-size: 18px;
+                    margin-bottom: 40px;
+                }
+                .features {
+                    text-align: left;
+                    margin-bottom: 40px;
+                }
+                .feature {
+                    display: flex;
+                    align-items: flex-start;
+                    gap: 15px;
+                    margin-bottom: 20px;
+                }
+                .feature-icon {
+                    font-size: 24px;
+                    width: 40px;
+                    text-align: center;
+                }
+                .feature-text h3 {
+                    color: #333;
+                    font-size: 16px;
+                    margin-bottom: 4px;
+                }
+                .feature-text p {
+                    color: #666;
+                    font-size: 14px;
+                    line-height: 1.5;
+                }
+                .suggestions h3 {
+                    color: #333;
+                    font-size: 12px;
+                    text-transform: uppercase;
+                    letter-spacing: 1px;
+                    margin-bottom: 15px;
+                }
+                .suggestion-links {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 10px;
+                    justify-content: center;
+                }
+                .suggestion-links a {
+                    background: #f0f0f0;
+                    color: #333;
+                    padding: 10px 18px;
+                    border-radius: 25px;
+                    text-decoration: none;
+                    font-size: 14px;
+                    transition: all 0.2s;
+                }
+                .suggestion-links a:hover {
+                    background: #667eea;
+                    color: white;
+                }
+                .warning {
+                    margin-top: 30px;
+                    padding: 15px;
+                    background: #fff3cd;
+                    border-radius: 10px;
+                    font-size: 13px;
+                    color: #856404;
+                    display: ${warningDisplay};
+                }
+                .powered-by {
+                    margin-top: 30px;
+                    padding-top: 20px;
+                    border-top: 1px solid #eee;
+                    color: #999;
+                    font-size: 12px;
+                }
+                .powered-by a {
+                    color: #667eea;
+                    text-decoration: none;
+                }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <h1>FakeBrowser</h1>
+                <p class="subtitle">The AI-Powered Imaginary Internet</p>
+
+                <div class="features">
+                    <div class="feature">
+                        <span class="feature-icon">🤖</span>
+                        <div class="feature-text">
+                            <h3>AI-Generated Pages</h3>
+                            <p>Every website is created on-the-fly by AI. No real internet connection needed!</p>
+                        </div>
+                    </div>
+                    <div class="feature">
+                        <span class="feature-icon">🌐</span>
+                        <div class="feature-text">
+                            <h3>Any URL Works</h3>
+                            <p>Type any URL and watch the AI imagine what that page would look like.</p>
+                        </div>
+                    </div>
+                    <div class="feature">
+                        <span class="feature-icon">🔗</span>
+                        <div class="feature-text">
+                            <h3>Working Links</h3>
+                            <p>Click links within pages to explore the imaginary web further.</p>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="suggestions">
+                    <h3>Try These Sites</h3>
+                    <div class="suggestion-links">
+                        <a href="https://google.com">Google</a>
+                        <a href="https://wikipedia.org">Wikipedia</a>
+                        <a href="https://amazon.com">Amazon</a>
+                        <a href="https://news.ycombinator.com">Hacker News</a>
+                        <a href="https://reddit.com">Reddit</a>
+                        <a href="https://github.com">GitHub</a>
+                    </div>
+                </div>
+
+                <div class="warning">
+                    ⚠️ No API key configured. Click the ⚙️ settings button to add your API key, or pick a local or offline provider.
+                </div>
+
+                <div class="powered-by">
+                    Powered by OpenRouter, OpenAI, Anthropic or your own model server • All data stored locally in IndexedDB
+                    <br>
+                    <a href="about:settings">Settings</a> • <a href="about:cache">Cache</a> • <a href="about:history">History</a> • <a href="about:bookmarks">Bookmarks</a>
+                </div>
+            </div>
+        </body>
+        </html>`;
+    }
+
+    // blocked marks a page the content policy stopped, which trying again
+    // wouldn't help
+    showErrorPage(url, message, blocked = false) {
+        const policy = CONTENT_POLICIES[this.currentSettings.contentPolicy] || CONTENT_POLICIES.unrestricted;
+        const html = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <style>
+                * { margin: 0; padding: 0; box-sizing: border-box; }
+                body {
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    background: #f5f5f5;
+                    min-height: 100vh;
+                    display: flex;
+                    justify-content: center;
+                    align-items: center;
+                }
+                .container {
+                    text-align: center;
+                    padding: 40px;
+                }
+                .error-icon {
+                    font-size: 80px;
+                    margin-bottom: 20px;
+                }
+                h1 {
+                    color: #333;
+                    font-size: 28px;
+                    margin-bottom: 15px;
+                }
+                .url {
+                    color: #666;
+                    font-size: 14px;
+                    margin-bottom: 20px;
+                    word-break: break-all;
+                }
+                .message {
+                    color: #999;
+                    font-size: 14px;
+                    max-width: 400px;
+                    line-height: 1.6;
+                    background: white;
+                    padding: 20px;
+                    border-radius: 10px;
+                    margin: 0 auto;
+                }
+                .retry-btn {
+                    margin-top: 30px;
+                    padding: 12px 30px;
+                    background: #667eea;
+                    color: white;
+                    border: none;
+                    border-radius: 25px;
+                    font-size: 14px;
+                    cursor: pointer;
+                }
+                .retry-btn:hover {
+                    background: #5a6fd6;
+                }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="error-icon">${blocked ? '🚫' : '😵'}</div>
+                <h1>${blocked ? 'Page Blocked' : 'Unable to Generate Page'}</h1>
+                <p class="url">${this.escapeHtml(url)}</p>
+                <p class="message">${this.escapeHtml(message)}${blocked ? `<br><br>Content policy: ${this.escapeHtml(policy.name)}` : ''}</p>
+                ${blocked ? '' : `<button class="retry-btn" onclick="window.parent.postMessage({type:'navigate',url:'${this.escapeHtml(url)}'},'*')">
+                    Try Again
+                </button>`}
+            </div>
+        </body>
+        </html>`;
+
+        this.contentFrame.srcdoc = html;
+    }
+
+    showUncachedPage(url) {
+        const message = this.activeTab?.frozen
+            ? 'This tab is a frozen world and only shows pages that are already cached. Generating this one will send a request to the model.'
+            : "This page isn't in the page cache. Generating it will send a request to the model.";
+
+        const html = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <style>
+                * { margin: 0; padding: 0; box-sizing: border-box; }
+                body {
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    background: #f5f5f5;
+                    min-height: 100vh;
+                    display: flex;
+                    justify-content: center;
+                    align-items: center;
+                }
+                .container {
+                    text-align: center;
+                    padding: 40px;
+                }
+                .icon {
+                    font-size: 80px;
+                    margin-bottom: 20px;
+                }
+                h1 {
+                    color: #333;
+                    font-size: 28px;
+                    margin-bottom: 15px;
+                }
+                .url {
+                    color: #666;
+                    font-size: 14px;
+                    margin-bottom: 20px;
+                    word-break: break-all;
+                }
+                .message {
+                    color: #999;
+                    font-size: 14px;
+                    max-width: 400px;
+                    line-height: 1.6;
+                    margin: 0 auto;
+                }
+                .generate-btn {
+                    margin-top: 30px;
+                    padding: 12px 30px;
+                    background: #667eea;
+                    color: white;
+                    border: none;
+                    border-radius: 25px;
+                    font-size: 14px;
+                    cursor: pointer;
+                }
+                .generate-btn:hover {
+                    background: #5a6fd6;
+                }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="icon">📭</div>
+                <h1>Page Not Generated Yet</h1>
+                <p class="url">${this.escapeHtml(url)}</p>
+                <p class="message">${message}</p>
+                <button class="generate-btn" onclick="window.parent.postMessage({type:'generate',token:'${this.internalToken}'},'*')">
+                    Generate Page
+                </button>
+            </div>
+        </body>
+        </html>`;
+
+        this.contentFrame.srcdoc = html;
+    }
+
+    // ==================== Settings ====================
+
+    async loadSettings() {
+        this.currentSettings = await aiService.getSettings();
+        this.apiKeyInput.value = this.currentSettings.apiKey || '';
+        this.streamingCheckbox.checked = this.currentSettings.streaming;
+        this.cacheLimitInput.value = this.currentSettings.cacheLimitMB;
+        this.budgetInput.value = this.currentSettings.budgetUSD;
+        this.budgetPeriodSelect.value = this.currentSettings.budgetPeriod;
+        this.fallbackModelsInput.value = this.currentSettings.fallbackModels.join('\n');
+        this.maxRetriesInput.value = this.currentSettings.maxRetries;
+        this.imageEndpointInput.value = this.currentSettings.imageEndpoint;
+        this.defaultEraInput.value = this.currentSettings.era ?? '';
+        this.defaultEraInput.max = new Date().getFullYear() - 1;
+        this.applyImageBackend();
+
+        for (const [id, preset] of Object.entries(PROVIDER_PRESETS)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = preset.name;
+            this.providerSelect.appendChild(option);
+        }
+
+        for (const [id, policy] of Object.entries(CONTENT_POLICIES)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = policy.name;
+            this.contentPolicySelect.appendChild(option);
+        }
+
+        for (const [id, device] of Object.entries(DEVICE_PROFILES)) {
+            for (const select of [this.deviceSelect, this.deviceProfileSelect]) {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = `${device.icon} ${device.name}`;
+                select.appendChild(option);
+            }
+        }
+        this.updateDeviceUI();
+    }
+
+    async openSettings() {
+        this.settingsModal.classList.remove('hidden');
+        this.modelSearch.value = '';
+
+        // Restore provider fields
+        this.providerSelect.value = this.currentSettings?.provider || 'openrouter';
+        this.providerBaseUrlInput.value = this.currentSettings?.baseUrl || '';
+        this.providerAuthSelect.value = this.currentSettings?.authScheme || '';
+        this.providerModelsPathInput.value = this.currentSettings?.modelsPath || '';
+        this.apiKeyInput.value = this.currentSettings?.apiKey || '';
+        this.updateProviderFields();
+
+        // Populate models and select current one
+        await this.populateModelSelect(this.currentSettings?.model);
+
+        // If we have a saved model, make sure it's selected
+        if (this.currentSettings?.model) {
+            this.modelSelect.value = this.currentSettings.model;
+        }
+
+        this.deviceProfileSelect.value = this.currentSettings?.device || 'desktop';
+        this.streamingCheckbox.checked = this.currentSettings?.streaming ?? true;
+        this.prefetchCheckbox.checked = this.currentSettings.prefetch;
+        this.prefetchConcurrencyInput.value = this.currentSettings.prefetchConcurrency;
+        this.prefetchPerDomainInput.value = this.currentSettings.prefetchPerDomain;
+        this.prefetchSpendInput.value = this.currentSettings.prefetchSpendUSD;
+        this.cacheLimitInput.value = this.currentSettings?.cacheLimitMB ?? 50;
+        this.budgetInput.value = this.currentSettings?.budgetUSD ?? 0;
+        this.fallbackModelsInput.value = (this.currentSettings?.fallbackModels || []).join('\n');
+        this.maxRetriesInput.value = this.currentSettings?.maxRetries ?? 2;
+        this.budgetPeriodSelect.value = this.currentSettings?.budgetPeriod || 'month';
+        this.imageEndpointInput.value = this.currentSettings?.imageEndpoint || '';
+        this.defaultEraInput.value = this.currentSettings?.era ?? '';
+
+        this.contentPolicySelect.value = this.currentSettings.contentPolicy;
+        this.blockedDomainsInput.value = this.currentSettings.blockedDomains.join('\n');
+        this.blockedKeywordsInput.value = this.currentSettings.blockedKeywords.join('\n');
+        this.policyUnlocked = !this.currentSettings.policyLock;
+        this.policyLockRemoved = false;
+        this.updatePolicyLockUI();
+
+        await this.loadProfileDrafts();
+    }
+
+    // Provider settings as currently entered in the form (possibly unsaved)
+    readProviderForm() {
+        return {
+            provider: this.providerSelect.value,
+            baseUrl: this.providerBaseUrlInput.value.trim(),
+            authScheme: this.providerAuthSelect.value,
+            modelsPath: this.providerModelsPathInput.value.trim(),
+            apiKey: this.apiKeyInput.value
+        };
+    }
+
+    updateProviderFields() {
+        const preset = PROVIDER_PRESETS[this.providerSelect.value];
+        const offline = preset.format === 'mock';
+
+        this.providerOptions.hidden = offline;
+        this.apiKeyGroup.hidden = offline;
+        this.apiKeyLabel.textContent = preset.requiresKey ? `${preset.name} API Key` : 'API Key (optional)';
+        this.apiKeyInput.placeholder = preset.keyPlaceholder || '';
+        this.apiKeyLink.hidden = !preset.keyUrl;
+        this.apiKeyLink.href = preset.keyUrl || '#';
+        this.providerBaseUrlInput.placeholder = preset.baseUrl;
+        this.providerModelsPathInput.placeholder = preset.modelsPath;
+    }
+
+    changeProvider() {
+        // Overrides were for the previous provider
+        this.providerBaseUrlInput.value = '';
+        this.providerAuthSelect.value = '';
+        this.providerModelsPathInput.value = '';
+        this.updateProviderFields();
+        this.populateModelSelect();
+    }
+
+    closeSettings() {
+        this.settingsModal.classList.add('hidden');
+    }
+
+    // Applies the controls on about:settings; the rest is edited in the modal
+    async updateSettingsFromPage(data) {
+        if (DEVICE_PROFILES[data.device]) {
+            await this.setDevice(data.device);
+            return;
+        }
+        if (typeof data.streaming === 'boolean') {
+            this.currentSettings.streaming = data.streaming;
+        }
+        this.streamingCheckbox.checked = this.currentSettings.streaming;
+        if (typeof data.prefetch === 'boolean') {
+            this.currentSettings.prefetch = data.prefetch;
+        }
+        this.prefetchCheckbox.checked = this.currentSettings.prefetch;
+
+        await aiService.saveSettings(this.currentSettings);
+        this.applyPrefetch();
+        this.setStatus('Settings saved');
+    }
+
+    async saveSettings() {
+        const previousPolicy = this.getPolicyKey(this.currentSettings);
+        const policy = await this.readPolicyForm();
+        this.currentSettings = {
+            ...this.currentSettings,
+            ...this.readProviderForm(),
+            // Nothing is selected while the model list is empty or loading
+            model: this.modelSelect.value || this.currentSettings.model,
+            device: this.deviceProfileSelect.value,
+            streaming: this.streamingCheckbox.checked,
+            prefetch: this.prefetchCheckbox.checked,
+            prefetchConcurrency: this.parsePrefetchCount(this.prefetchConcurrencyInput.value, 'prefetchConcurrency', 4),
+            prefetchPerDomain: this.parsePrefetchCount(this.prefetchPerDomainInput.value, 'prefetchPerDomain', 100),
+            prefetchSpendUSD: this.parseBudget(this.prefetchSpendInput.value, 'prefetchSpendUSD'),
+            cacheLimitMB: this.parseCacheLimit(this.cacheLimitInput.value),
+            fallbackModels: this.fallbackModelsInput.value.split('\n').map(m => m.trim()).filter(Boolean),
+            maxRetries: this.parseMaxRetries(this.maxRetriesInput.value),
+            budgetUSD: this.parseBudget(this.budgetInput.value),
+            budgetPeriod: this.budgetPeriodSelect.value,
+            imageEndpoint: this.imageEndpointInput.value.trim(),
+            era: this.parseEra(this.defaultEraInput.value),
+            activeProfileId: this.activeProfileSelect.value || this.currentSettings.activeProfileId,
+            ...policy
+        };
+
+        await this.saveProfileDrafts();
+        await aiService.saveSettings(this.currentSettings);
+        this.applyImageBackend();
+        this.applyPrefetch();
+        this.updateUsageUI();
+        this.updateDeviceUI();
+        this.closeSettings();
+        this.setStatus('Settings saved');
+        await this.applyCacheLimit();
+
+        // Refresh welcome page to hide warning if on home
+        const tab = this.activeTab;
+        if (tab && !tab.url) {
+            this.showWelcomePage();
+        }
+        this.refreshInternalPage('about:home');
+        this.refreshInternalPage('about:settings');
+
+        if (this.getPolicyKey(this.currentSettings) !== previousPolicy) {
+            await this.applyContentPolicy();
+        }
+    }
+
+    // ==================== Content Policy ====================
+
+    // Changes whenever anything that decides what is blocked changes
+    getPolicyKey(settings) {
+        return JSON.stringify([settings.contentPolicy, settings.blockedDomains, settings.blockedKeywords]);
+    }
+
+    // The policy fields of the settings form, or nothing while they are locked
+    async readPolicyForm() {
+        if (!this.policyUnlocked) return {};
+
+        const lines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+        let policyLock = this.policyLockRemoved ? null : this.currentSettings.policyLock;
+        if (this.policyPasscodeInput.value) {
+            policyLock = await aiService.createPolicyLock(this.policyPasscodeInput.value);
+        }
+
+        return {
+            contentPolicy: this.contentPolicySelect.value,
+            blockedDomains: lines(this.blockedDomainsInput.value),
+            blockedKeywords: lines(this.blockedKeywordsInput.value),
+            policyLock: policyLock
+        };
+    }
+
+    updatePolicyLockUI() {
+        const locked = Boolean(this.currentSettings.policyLock);
+        for (const input of [this.contentPolicySelect, this.blockedDomainsInput, this.blockedKeywordsInput]) {
+            input.disabled = !this.policyUnlocked;
+        }
+        this.policyPasscodeInput.value = '';
+        this.policyUnlockBtn.hidden = !locked;
+
+        if (!locked) {
+            this.policyPasscodeInput.placeholder = 'Passcode to lock these settings (optional)';
+            this.policyHint.textContent = 'Blocked addresses are never sent to the model, and pages that break the policy are replaced. A passcode keeps the policy from being changed, for example in a classroom.';
+        } else if (!this.policyUnlocked) {
+            this.policyPasscodeInput.placeholder = 'Passcode';
+            this.policyUnlockBtn.textContent = 'Unlock';
+            this.policyHint.textContent = 'Locked - enter the passcode to change the content policy.';
+        } else {
+            this.policyPasscodeInput.placeholder = 'New passcode (empty keeps the current one)';
+            this.policyUnlockBtn.textContent = this.policyLockRemoved ? 'Keep Lock' : 'Remove Lock';
+            this.policyHint.textContent = this.policyLockRemoved
+                ? 'Unlocked - the passcode will be removed when you save.'
+                : 'Unlocked - the policy locks again when you save.';
+        }
+    }
+
+    async togglePolicyLock() {
+        if (this.policyUnlocked) {
+            this.policyLockRemoved = !this.policyLockRemoved;
+            this.updatePolicyLockUI();
+            return;
+        }
+
+        if (await aiService.checkPolicyPasscode(this.policyPasscodeInput.value)) {
+            this.policyUnlocked = true;
+            this.updatePolicyLockUI();
+        } else {
+            this.policyPasscodeInput.value = '';
+            this.policyHint.textContent = 'Wrong passcode.';
+        }
+    }
+
+    // Reloads every tab from the cache under the new policy so nothing
+    // generated under the old one stays on screen. Pages that aren't cached
+    // for the new policy wait until they're requested again.
+    async applyContentPolicy() {
+        for (const tab of this.tabs.values()) {
+            this.stop(tab);
+            tab.error = null;
+            await this.loadTabFromCache(tab);
+        }
+
+        const tab = this.activeTab;
+        if (tab) {
+            this.renderTab(tab);
+            this.updateVersionsButton();
+            this.setStatus(tab.status);
+        }
+    }
+
+    // ==================== Prompt Profiles ====================
+
+    // Loads every profile into drafts for the settings modal; nothing is
+    // stored until the settings are saved
+    async loadProfileDrafts() {
+        const profiles = await aiService.getPromptProfiles();
+        this.profileDrafts = new Map(profiles.map(p => [p.id, { ...p }]));
+        this.savedProfiles = new Map(profiles.map(p => [p.id, p]));
+
+        const activeId = this.profileDrafts.has(this.currentSettings.activeProfileId)
+            ? this.currentSettings.activeProfileId
+            : DEFAULT_PROFILE_ID;
+        this.renderProfileSelect(activeId);
+        this.activeProfileSelect.value = activeId;
+    }
+
+    // Lists the drafts in both the profile being edited and the active one,
+    // which falls back to the default if its profile was deleted
+    renderProfileSelect(selectedId) {
+        const activeId = this.activeProfileSelect.value;
+        for (const select of [this.profileSelect, this.activeProfileSelect]) {
+            select.innerHTML = '';
+            for (const profile of this.profileDrafts.values()) {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.name || 'Untitled profile';
+                select.appendChild(option);
+            }
+        }
+        this.activeProfileSelect.value = this.profileDrafts.has(activeId) ? activeId : DEFAULT_PROFILE_ID;
+        this.showProfileDraft(selectedId);
+    }
+
+    showProfileDraft(id) {
+        const profile = this.profileDrafts.get(id);
+        this.profileSelect.value = id;
+        this.profileNameInput.value = profile.name;
+        this.profileSystemInput.value = profile.systemPrompt;
+        this.profileMobileInput.value = profile.mobileAddendum;
+
+        // The default profile can only be reset
+        const isDefault = id === DEFAULT_PROFILE_ID;
+        this.profileNameInput.disabled = isDefault;
+        this.profileDeleteBtn.disabled = isDefault;
+    }
+
+    updateProfileDraft() {
+        const profile = this.profileDrafts.get(this.profileSelect.value);
+        if (profile.id !== DEFAULT_PROFILE_ID) {
+            profile.name = this.profileNameInput.value;
+            for (const select of [this.profileSelect, this.activeProfileSelect]) {
+                const option = [...select.options].find(o => o.value === profile.id);
+                option.textContent = profile.name.trim() || 'Untitled profile';
+            }
+        }
+        profile.systemPrompt = this.profileSystemInput.value;
+        profile.mobileAddendum = this.profileMobileInput.value;
+    }
+
+    // A new profile with the built-in prompts, or a copy of the profile with id
+    addProfileDraft(id) {
+        const source = id ? this.profileDrafts.get(id) : aiService.getBuiltInProfile();
+        const profile = {
+            ...source,
+            id: aiService.createProfileId(),
+            name: id ? `${source.name} (copy)` : 'New profile',
+            updatedAt: 0
+        };
+
+        this.profileDrafts.set(profile.id, profile);
+        this.renderProfileSelect(profile.id);
+        this.profileNameInput.select();
+    }
+
+    deleteProfileDraft() {
+        const id = this.profileSelect.value;
+        if (id === DEFAULT_PROFILE_ID) return;
+
+        this.profileDrafts.delete(id);
+        this.renderProfileSelect(DEFAULT_PROFILE_ID);
+    }
+
+    resetProfileDraft() {
+        const builtIn = aiService.getBuiltInProfile();
+        this.profileSystemInput.value = builtIn.systemPrompt;
+        this.profileMobileInput.value = builtIn.mobileAddendum;
+        this.updateProfileDraft();
+    }
+
+    // Stores the drafts that changed and deletes the profiles that were removed
+    async saveProfileDrafts() {
+        if (!this.profileDrafts) return;
+
+        for (const id of this.savedProfiles.keys()) {
+            if (!this.profileDrafts.has(id)) {
+                await aiService.deletePromptProfile(id);
+                const overrides = Object.entries(this.currentSettings.profileOverrides).filter(([, profileId]) => profileId !== id);
+                this.currentSettings.profileOverrides = Object.fromEntries(overrides);
+            }
+        }
+
+        const builtIn = aiService.getBuiltInProfile();
+        const sameText = (a, b) => a.name === b.name && a.systemPrompt === b.systemPrompt && a.mobileAddendum === b.mobileAddendum;
+        for (const profile of this.profileDrafts.values()) {
+            const saved = this.savedProfiles.get(profile.id);
+            if (saved && sameText(saved, profile)) continue;
+
+            profile.name = profile.name.trim() || 'Untitled profile';
+            if (profile.id === DEFAULT_PROFILE_ID && sameText(builtIn, profile)) {
+                // Back to the built-in prompts, which follow app updates
+                await aiService.deletePromptProfile(DEFAULT_PROFILE_ID);
+            } else {
+                await aiService.savePromptProfile(profile);
+            }
+        }
+
+        this.profileDrafts = null;
+    }
+
+    async clearCache() {
+        await aiService.clearAllCache();
+        this.setStatus('Page cache cleared');
+        this.refreshInternalPage('about:cache');
+    }
+
+    applyImageBackend() {
+        const endpoint = this.currentSettings.imageEndpoint;
+        imageSynthesizer.setBackend(endpoint ? createImageEndpointBackend(endpoint) : null);
+    }
+
+    // Cache limit in MB from user input; 0 turns the limit off
+    parseCacheLimit(value) {
+        const limit = Number(value);
+        return Number.isFinite(limit) && limit >= 0 ? limit : this.currentSettings.cacheLimitMB;
+    }
+
+    parseMaxRetries(value) {
+        const retries = Number(value);
+        return Number.isInteger(retries) && retries >= 0 ? Math.min(retries, 10) : this.currentSettings.maxRetries;
+    }
+
+    // Default era from user input; empty means the present day
+    parseEra(value) {
+        if (!value.trim()) return null;
+        return aiService.normalizeEra(value) ?? this.currentSettings.era;
+    }
+
+    // A budget or spending cap in dollars from user input, where 0 turns it
+    // off; field is the setting kept when the input is invalid
+    parseBudget(value, field = 'budgetUSD') {
+        const budget = Number(value);
+        return Number.isFinite(budget) && budget >= 0 ? budget : this.currentSettings[field];
+    }
+
+    parsePrefetchCount(value, field, max) {
+        const count = Number(value);
+        return Number.isInteger(count) && count >= 1 ? Math.min(count, max) : this.currentSettings[field];
+    }
+
+    async setCacheLimit(value) {
+        this.currentSettings.cacheLimitMB = this.parseCacheLimit(value);
+        this.cacheLimitInput.value = this.currentSettings.cacheLimitMB;
+        await aiService.saveSettings(this.currentSettings);
+        await this.applyCacheLimit();
+    }
+
+    // Evicts least recently used pages if the cache is over a new limit
+    async applyCacheLimit() {
+        const evicted = await aiService.enforceCacheLimit();
+        if (evicted.length > 0) {
+            this.setStatus(`Evicted ${evicted.length} cached page${evicted.length === 1 ? '' : 's'} to fit the cache limit`);
+        }
+        this.refreshInternalPage('about:cache');
+    }
+
+    async populateModelSelect(preserveSelection = null) {
+        await modelService.fetchModels(createProvider(this.readProviderForm()));
+        const query = this.modelSearch.value.trim();
+        const filtered = modelService.filterModels(query);
+
+        this.modelSelect.innerHTML = '';
+
+        // Local servers often have no model list, so allow any typed model ID
+        if (query && !filtered.some(m => m.id === query)) {
+            const option = document.createElement('option');
+            option.value = query;
+            option.textContent = `Use model ID "${query}"`;
+            if (preserveSelection === query) {
+                option.selected = true;
+            }
+            this.modelSelect.appendChild(option);
+        }
+
+        // A model ID chosen earlier stays chosen, whatever is searched for
+        if (preserveSelection && preserveSelection !== query && !filtered.some(m => m.id === preserveSelection)) {
+            const option = document.createElement('option');
+            option.value = preserveSelection;
+            option.textContent = `Use model ID "${preserveSelection}"`;
+            option.selected = true;
+            this.modelSelect.appendChild(option);
+        }
+
+        if (filtered.length === 0) {
+            const option = document.createElement('option');
+            option.textContent = query ? 'No models match your search' : 'No models found - type a model ID above';
+            option.disabled = true;
+            this.modelSelect.appendChild(option);
+            return;
+        }
+
+        for (const model of filtered) {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.name;
+            if (preserveSelection && model.id === preserveSelection) {
+                option.selected = true;
+            }
+            this.modelSelect.appendChild(option);
+        }
+    }
+
+    filterModels() {
+        const currentSelection = this.modelSelect.value;
+        this.populateModelSelect(currentSelection);
+    }
+
+    // ==================== Bookmarks ====================
+
+    async refreshBookmarks() {
+        this.bookmarks = await aiService.getBookmarks();
+        this.bookmarks.sort((a, b) => a.createdAt - b.createdAt);
+        this.renderBookmarksBar();
+        this.updateBookmarkButton();
+    }
+
+    updateBookmarkButton() {
+        const url = this.activeTab?.url;
+        const bookmarked = Boolean(url) && this.bookmarks.some(b => b.url === url);
+        this.bookmarkBtn.textContent = bookmarked ? '★' : '☆';
+        this.bookmarkBtn.classList.toggle('active', bookmarked);
+        this.bookmarkBtn.title = bookmarked ? 'Remove bookmark (Ctrl+D)' : 'Bookmark this page (Ctrl+D)';
+    }
+
+    // Adds the current page to the bookmarks bar, or removes its bookmarks
+    async toggleBookmark() {
+        const tab = this.activeTab;
+        if (!tab || !tab.url) return;
+
+        const existing = this.bookmarks.filter(b => b.url === tab.url);
+        if (existing.length > 0) {
+            for (const bookmark of existing) {
+                await aiService.deleteBookmark(bookmark.id);
+            }
+            this.setStatus('Bookmark removed');
+        } else {
+            await aiService.saveBookmark({
+                type: 'bookmark',
+                title: tab.title,
+                url: tab.url,
+                favicon: tab.favicon,
+                parentId: null,
+                snapshot: null
+            });
+            this.setStatus('Bookmarked - manage bookmarks at about:bookmarks');
+        }
+
+        await this.refreshBookmarks();
+        this.refreshInternalPage('about:bookmarks');
+    }
+
+    renderBookmarksBar() {
+        const items = this.bookmarks.filter(b => b.parentId === null);
+        this.bookmarksBar.hidden = items.length === 0;
+        this.bookmarksBar.innerHTML = '';
+
+        for (const bookmark of items) {
+            this.bookmarksBar.appendChild(this.createBookmarkItem(bookmark, 'bookmark-item'));
+        }
+    }
+
+    // A button that opens a bookmark, or a folder's menu
+    createBookmarkItem(bookmark, className) {
+        const item = document.createElement('button');
+        item.className = className;
+        item.title = bookmark.url || bookmark.title;
+        item.innerHTML = `<span class="menu-icon">${bookmark.type === 'folder' ? '📁' : bookmark.favicon || '🌐'}</span><span class="menu-label"></span>`;
+        item.querySelector('.menu-label').textContent = bookmark.title;
+
+        if (bookmark.type === 'folder') {
+            item.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.openBookmarkFolder(bookmark.id, item);
+            });
+        } else {
+            item.addEventListener('click', (e) => {
+                this.bookmarksMenu.hidden = true;
+                if (e.ctrlKey || e.metaKey) {
+                    this.createTab(bookmark.url);
+                } else {
+                    this.navigate(bookmark.url);
+                }
+            });
+            item.addEventListener('auxclick', (e) => {
+                if (e.button === 1) {
+                    this.bookmarksMenu.hidden = true;
+                    this.createTab(bookmark.url);
+                }
+            });
+        }
+
+        return item;
+    }
+
+    // Shows a folder's contents in a menu below the bookmarks bar
+    openBookmarkFolder(folderId, anchor) {
+        const children = this.bookmarks.filter(b => b.parentId === folderId);
+
+        this.bookmarksMenu.innerHTML = '';
+        if (children.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'menu-empty';
+            empty.textContent = 'Empty folder';
+            this.bookmarksMenu.appendChild(empty);
+        }
+        for (const bookmark of children) {
+            this.bookmarksMenu.appendChild(this.createBookmarkItem(bookmark, 'menu-item'));
+        }
+
+        // Subfolders replace the menu's contents, so keep it anchored to the bar
+        if (anchor.classList.contains('bookmark-item')) {
+            this.bookmarksMenu.style.left = `${anchor.offsetLeft}px`;
+        }
+        this.bookmarksMenu.hidden = false;
+    }
+
+    async handleBookmarkAction(data) {
+        const id = Number(data.id);
+        const bookmark = this.bookmarks.find(b => b.id === id);
+
+        if (data.action === 'bookmark-folder-create') {
+            const title = String(data.title || '').trim() || 'New folder';
+            await aiService.saveBookmark({ type: 'folder', title: title, parentId: this.toFolderId(data.parentId) });
+            return;
+        }
+        if (!bookmark) return;
+
+        if (data.action === 'bookmark-delete') {
+            await aiService.deleteBookmark(id);
+        } else if (data.action === 'bookmark-update') {
+            if (typeof data.title === 'string') {
+                bookmark.title = data.title.trim() || bookmark.title;
+            }
+            if (typeof data.url === 'string' && bookmark.type === 'bookmark' && data.url.trim()) {
+                bookmark.url = this.normalizeUrl(data.url.trim());
+            }
+            if ('parentId' in data) {
+                const parentId = this.toFolderId(data.parentId);
+                if (this.isBookmarkInside(parentId, id)) {
+                    this.setStatus("A folder can't be moved into itself");
+                    return;
+                }
+                bookmark.parentId = parentId;
+            }
+            await aiService.saveBookmark(bookmark);
+        } else if (data.action === 'bookmark-pin') {
+            if (data.pinned) {
+                const context = await aiService.getPageContext(bookmark.url);
+                const html = await aiService.getCachedPage(bookmark.url, null, context.variant);
+                if (!html) {
+                    this.setStatus('This page is not in the cache - open it once before pinning');
+                    return;
+                }
+                bookmark.snapshot = html;
+                this.setStatus('Snapshot pinned');
+            } else {
+                bookmark.snapshot = null;
+                this.setStatus('Snapshot unpinned');
+            }
+            await aiService.saveBookmark(bookmark);
+        }
+    }
+
+    toFolderId(value) {
+        const id = Number(value);
+        return this.bookmarks.some(b => b.id === id && b.type === 'folder') ? id : null;
+    }
+
+    // Whether folderId is the bookmark itself or one of its descendants
+    isBookmarkInside(folderId, id) {
+        while (folderId !== null) {
+            if (folderId === id) return true;
+            folderId = this.bookmarks.find(b => b.id === folderId)?.parentId ?? null;
+        }
+        return false;
+    }
+
+    getBookmarksPageHtml() {
+        // Snapshots can be large; the page only needs to know one exists
+        const bookmarks = this.bookmarks.map(({ snapshot, ...b }) => ({ ...b, pinned: Boolean(snapshot) }));
+
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>Bookmarks</title>
+            <style>
+                * { margin: 0; padding: 0; box-sizing: border-box; }
+                body {
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    background: #f5f5f5;
+                    color: #333;
+                    padding: 40px 20px;
                 }
                 .container {
-                    text-align: center;
-                    padding: 40px;
-                }
-                .error-icon {
-                    font-size: 80px;
-                    margin-bottom: 20px;
+                    max-width: 900px;
+                    margin: 0 auto;
                 }
                 h1 {
-                    color: #333;
                     font-size: 28px;
-                    margin-bottom: 15px;
-                }
-                .url {
-                    color: #666;
-                    font-size: 14px;
                     margin-bottom: 20px;
-                    word-break: break-all;
                 }
-                .message {
-                    color: #999;
-                    font-size: 14px;
-                    max-width: 400px;
-                    line-height: 1.6;
+                .toolbar {
+                    display: flex;
+                    gap: 10px;
+                    margin-bottom: 30px;
+                }
+                input[type="text"],
+                select {
+                    padding: 6px 10px;
+                    font-size: 13px;
+                    border: 1px solid #ddd;
+                    border-radius: 6px;
                     background: white;
-                    padding: 20px;
-                    border-radius: 10px;
-                    margin: 0 auto;
+                    outline: none;
                 }
-                .retry-btn {
-                    margin-top: 30px;
-                    padding: 12px 30px;
+                input[type="text"]:focus,
+                select:focus {
+                    border-color: #667eea;
+                }
+                .toolbar input {
+                    flex: 1;
+                }
+                button {
+                    padding: 6px 14px;
+                    font-size: 13px;
+                    border: 1px solid #ddd;
+                    border-radius: 20px;
+                    background: white;
+                    cursor: pointer;
+                }
+                button:hover {
                     background: #667eea;
+                    border-color: #667eea;
                     color: white;
+                }
+                .folder {
+                    background: white;
+                    border-radius: 10px;
+                    margin-bottom: 16px;
+                    overflow: hidden;
+                }
+                .folder .folder {
+                    margin: 8px 16px 8px 40px;
+                    border: 1px solid #eee;
+                }
+                .row {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    padding: 8px 16px;
+                    border-bottom: 1px solid #f0f0f0;
+                }
+                .folder-header {
+                    background: #fafafa;
+                    font-weight: 600;
+                }
+                .icon {
+                    width: 24px;
+                    text-align: center;
+                    flex-shrink: 0;
+                }
+                .title {
+                    flex: 1;
+                    min-width: 0;
+                }
+                .url {
+                    flex: 1.5;
+                    min-width: 0;
+                }
+                .pin {
+                    font-size: 12px;
+                    color: #666;
+                    white-space: nowrap;
+                }
+                .open {
+                    color: #667eea;
+                    font-size: 13px;
+                    text-decoration: none;
+                }
+                .delete {
                     border: none;
-                    border-radius: 25px;
-                    font-size: 14px;
-                    cursor: pointer;
+                    color: #bbb;
+                    font-size: 18px;
+                    padding: 2px 8px;
                 }
-                .retry-btn:hover {
-                    background: #5a6fd6;
+                .empty {
+                    color: #999;
+                    font-size: 13px;
+                    padding: 12px 16px;
                 }
             </style>
         </head>
         <body>
             <div class="container">
-                <div class="error-icon">😵</div>
-                <h1>Unable to Generate Page</h1>
-                <p class="url">${this.escapeHtml(url)}</p>
-                <p class="message">${this.escapeHtml(message)}</p>
-                <button class="retry-btn" onclick="window.parent.postMessage({type:'navigate',url:'${this.escapeHtml(url)}'},'*')">
-                    Try Again
-                </button>
+                <h1>Bookmarks</h1>
+                <div class="toolbar">
+                    <input type="text" id="folder-title" placeholder="New folder name">
+                    <select id="folder-parent" class="folder-select"></select>
+                    <button id="add-folder">Add Folder</button>
+                </div>
+                <div id="tree"></div>
             </div>
+            <script>
+            (function() {
+                const bookmarks = ${this.toScriptJson(bookmarks)};
+                const token = '${this.internalToken}';
+                const folders = bookmarks.filter(function(b) { return b.type === 'folder'; });
+
+                function send(action, data) {
+                    window.parent.postMessage(Object.assign({ type: 'internal-action', token: token, action: action }, data), '*');
+                }
+
+                // Folder choices, indented by depth; a bookmark can't go into itself
+                function fillFolderSelect(select, selected, excludeId) {
+                    select.innerHTML = '';
+                    function add(parentId, depth) {
+                        folders.filter(function(f) { return f.parentId === parentId && f.id !== excludeId; }).forEach(function(f) {
+                            const option = document.createElement('option');
+                            option.value = f.id;
+                            option.textContent = '\u00a0\u00a0'.repeat(depth) + f.title;
+                            select.appendChild(option);
+                            add(f.id, depth + 1);
+                        });
+                    }
+                    const bar = document.createElement('option');
+                    bar.value = '';
+                    bar.textContent = 'Bookmarks bar';
+                    select.appendChild(bar);
+                    add(null, 1);
+                    select.value = selected === null ? '' : selected;
+                }
+
+                function renderBookmark(b) {
+                    const row = document.createElement('div');
+                    row.className = 'row';
+                    row.innerHTML = '<span class="icon"></span><input type="text" class="title"><input type="text" class="url"><select class="folder-select"></select><label class="pin"><input type="checkbox"> Pin snapshot</label><a class="open">Open</a><button class="delete" title="Delete">&times;</button>';
+                    row.querySelector('.icon').textContent = b.favicon || '🌐';
+                    const title = row.querySelector('.title');
+                    title.value = b.title;
+                    title.addEventListener('change', function() { send('bookmark-update', { id: b.id, title: title.value }); });
+                    const url = row.querySelector('.url');
+                    url.value = b.url;
+                    url.addEventListener('change', function() { send('bookmark-update', { id: b.id, url: url.value }); });
+                    const folder = row.querySelector('select');
+                    fillFolderSelect(folder, b.parentId, null);
+                    folder.addEventListener('change', function() { send('bookmark-update', { id: b.id, parentId: folder.value || null }); });
+                    const pin = row.querySelector('.pin input');
+                    pin.checked = b.pinned;
+                    pin.addEventListener('change', function() { send('bookmark-pin', { id: b.id, pinned: pin.checked }); });
+                    row.querySelector('.open').href = b.url;
+                    row.querySelector('.delete').addEventListener('click', function() { send('bookmark-delete', { id: b.id }); });
+                    return row;
+                }
+
+                function renderFolder(f) {
+                    const el = document.createElement('div');
+                    el.className = 'folder';
+
+                    const header = document.createElement('div');
+                    header.className = 'row folder-header';
+                    if (f) {
+                        header.innerHTML = '<span class="icon">📁</span><input type="text" class="title"><select class="folder-select"></select><button class="delete" title="Delete folder and its bookmarks">&times;</button>';
+                        const title = header.querySelector('.title');
+                        title.value = f.title;
+                        title.addEventListener('change', function() { send('bookmark-update', { id: f.id, title: title.value }); });
+                        const parent = header.querySelector('select');
+                        fillFolderSelect(parent, f.parentId, f.id);
+                        parent.addEventListener('change', function() { send('bookmark-update', { id: f.id, parentId: parent.value || null }); });
+                        header.querySelector('.delete').addEventListener('click', function() { send('bookmark-delete', { id: f.id }); });
+                    } else {
+                        header.innerHTML = '<span class="icon">⭐</span><span class="title">Bookmarks bar</span>';
+                    }
+                    el.appendChild(header);
+
+                    const id = f ? f.id : null;
+                    const children = bookmarks.filter(function(b) { return b.parentId === id; });
+                    if (children.length === 0) {
+                        const empty = document.createElement('div');
+                        empty.className = 'empty';
+                        empty.textContent = f ? 'Empty folder' : 'No bookmarks yet - click the star in the address bar to add one';
+                        el.appendChild(empty);
+                    }
+                    children.forEach(function(b) {
+                        el.appendChild(b.type === 'folder' ? renderFolder(b) : renderBookmark(b));
+                    });
+                    return el;
+                }
+
+                document.getElementById('tree').appendChild(renderFolder(null));
+
+                const parentSelect = document.getElementById('folder-parent');
+                fillFolderSelect(parentSelect, null, null);
+                document.getElementById('add-folder').addEventListener('click', function() {
+                    send('bookmark-folder-create', {
+                        title: document.getElementById('folder-title').value,
+                        parentId: parentSelect.value || null
+                    });
+                });
+            })();
+            <\/script>
         </body>
         </html>`;
+    }
 
-        this.contentFrame.srcdoc = html;
+    // ==================== Frozen World ====================
+
+    toggleFrozen() {
+        const tab = this.activeTab;
+        if (!tab) return;
+
+        tab.frozen = !tab.frozen;
+        this.updateFrozenUI();
+        this.saveSession();
+        this.setTabStatus(tab, tab.frozen
+            ? 'Frozen world - this tab only shows cached pages'
+            : 'Live - uncached pages are generated');
+        this.schedulePrefetch(tab);
+
+        // The "not generated yet" page explains the mode it is shown in
+        if (!tab.isLoading && !tab.error && tab.url && !tab.content && !this.isInternalUrl(tab.url)) {
+            this.renderTab(tab);
+        }
     }
 
-    // ==================== Settings ====================
+    updateFrozenUI() {
+        const frozen = Boolean(this.activeTab?.frozen);
+        this.frozenBtn.textContent = frozen ? '❄️ Frozen world' : 'Live';
+        this.frozenBtn.classList.toggle('active', frozen);
+        this.frozenBtn.title = frozen
+            ? 'This tab only shows cached pages and never calls the model. Click to go live.'
+            : 'Click to freeze this tab: only cached pages are shown and the model is never called';
+    }
 
-    async loadSettings() {
-        this.currentSettings = await aiService.getSettings();
-        this.apiKeyInput.value = this.currentSettings.apiKey || '';
-        this.mobileModeCheckbox.checked = this.currentSettings.mobileMode || false;
+    // ==================== Era Mode ====================
+
+    // What pages in tab are generated with; url defaults to the tab's own
+    getTabContext(tab, url = tab.url) {
+        return aiService.getPageContext(url, { era: tab.era });
     }
 
-    async openSettings() {
-        this.settingsModal.classList.remove('hidden');
-        this.modelSearch.value = '';
+    updateEraUI() {
+        const era = this.activeTab?.era ?? null;
+        this.eraBtn.textContent = era ? `🕰️ ${era}` : '🕰️';
+        this.eraBtn.classList.toggle('active', Boolean(era));
+        this.eraBtn.title = era
+            ? `This tab browses the web as it was in ${era}`
+            : 'Browse the web as it was in an earlier year';
+    }
 
-        // Populate models and select current one
-        await this.populateModelSelect(this.currentSettings?.model);
+    toggleEraMenu() {
+        if (!this.eraMenu.hidden) {
+            this.eraMenu.hidden = true;
+            return;
+        }
+        // Both menus open under the address bar
+        this.versionsMenu.hidden = true;
+        this.eraMenu.hidden = false;
+        this.renderEraMenu();
+    }
 
-        // If we have a saved model, make sure it's selected
-        if (this.currentSettings?.model) {
-            this.modelSelect.value = this.currentSettings.model;
+    // A timeline of years like the Wayback Machine's, marking the years the
+    // current page is cached in
+    async renderEraMenu() {
+        const tab = this.activeTab;
+        if (!tab) return;
+
+        const page = tab.url && !this.isInternalUrl(tab.url) ? tab.url : null;
+        const cached = page ? await aiService.getCachedEras(page, await this.getTabContext(tab)) : [];
+        const lastYear = new Date().getFullYear() - 1;
+
+        this.eraMenu.innerHTML = `
+            <div class="era-header">
+                <span class="era-title"></span>
+                <button class="menu-action era-present" title="Back to the present day">Present day</button>
+            </div>
+            <div class="era-timeline"></div>
+            <div class="era-labels"></div>
+            <div class="era-footer">
+                <input type="number" class="era-input" min="${MIN_ERA_YEAR}" max="${lastYear}" placeholder="Year">
+                <button class="menu-action era-go">Go</button>
+                <span class="era-hint"></span>
+            </div>
+        `;
+        this.eraMenu.querySelector('.era-title').textContent = tab.era ? `Browsing as of ${tab.era}` : 'Browsing the present day';
+        this.eraMenu.querySelector('.era-hint').textContent = page
+            ? (cached.length ? `Cached in ${cached.length} year${cached.length === 1 ? '' : 's'}` : 'Not cached in any earlier year')
+            : '';
+
+        const timeline = this.eraMenu.querySelector('.era-timeline');
+        const labels = this.eraMenu.querySelector('.era-labels');
+        for (let year = MIN_ERA_YEAR; year <= lastYear; year++) {
+            const cell = document.createElement('button');
+            cell.className = 'era-year';
+            cell.classList.toggle('cached', cached.includes(year));
+            cell.classList.toggle('current', year === tab.era);
+            cell.title = cached.includes(year) ? `${year} - cached` : String(year);
+            cell.addEventListener('click', () => this.setTabEra(tab, year));
+            timeline.appendChild(cell);
+
+            const label = document.createElement('span');
+            label.textContent = year % 10 === 0 ? year : '';
+            labels.appendChild(label);
         }
 
-        // Set mobile mode checkbox state
-        this.mobileModeCheckbox.checked = this.currentSettings?.mobileMode || false;
+        const input = this.eraMenu.querySelector('.era-input');
+        input.value = tab.era || '';
+        const go = () => {
+            const era = aiService.normalizeEra(input.value);
+            if (era) {
+                this.setTabEra(tab, era);
+            } else {
+                this.setStatus(`Pick a year from ${MIN_ERA_YEAR} to ${lastYear}`);
+            }
+        };
+        this.eraMenu.querySelector('.era-go').addEventListener('click', go);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') go();
+        });
+        this.eraMenu.querySelector('.era-present').addEventListener('click', () => this.setTabEra(tab, null));
     }
 
-    closeSettings() {
-        this.settingsModal.classList.add('hidden');
+    // Moves tab to another year and reloads its page there, from the cache
+    // when that year has it
+    setTabEra(tab, era) {
+        this.eraMenu.hidden = true;
+        if (tab.era === era) return;
+
+        tab.era = era;
+        this.saveSession();
+        if (this.isActive(tab)) {
+            this.updateEraUI();
+        }
+        this.setTabStatus(tab, era ? `Browsing the web as it was in ${era}` : 'Back in the present day');
+
+        if (tab.url && !this.isInternalUrl(tab.url)) {
+            this.navigate(tab.url, { tab });
+        }
     }
 
-    async saveSettings() {
-        this.currentSettings = {
-            apiKey: this.apiKeyInput.value,
-            model: this.modelSelect.value,
-            mobileMode: this.mobileModeCheckbox.checked
-        };
+    // ==================== Device Emulation ====================
 
+    // Generates pages for another device from now on, and shows the
+    // active tab's page as made for it
+    async setDevice(id) {
+        if (!DEVICE_PROFILES[id] || id === this.currentSettings.device) return;
+
+        this.currentSettings.device = id;
         await aiService.saveSettings(this.currentSettings);
-        this.closeSettings();
-        this.setStatus('Settings saved');
+        this.updateDeviceUI();
+        this.refreshInternalPage('about:settings');
+        this.setStatus(`Pages are generated for: ${DEVICE_PROFILES[id].name}`);
 
-        // Refresh welcome page to hide warning if on home
         const tab = this.activeTab;
-        if (tab && !tab.url) {
-            this.showWelcomePage();
+        if (tab && tab.url && !this.isInternalUrl(tab.url)) {
+            this.navigate(tab.url, { tab });
         }
     }
 
-    async clearCache() {
-        await aiService.clearAllCache();
-        this.setStatus('Page cache cleared');
+    async rotateDevice() {
+        this.currentSettings.deviceLandscape = !this.currentSettings.deviceLandscape;
+        await aiService.saveSettings(this.currentSettings);
+        this.applyDeviceFrame();
     }
 
-    async populateModelSelect(preserveSelection = null) {
-        const models = await modelService.fetchModels();
-        const query = this.modelSearch.value;
-        const filtered = modelService.filterModels(query);
+    async setDeviceZoom(zoom) {
+        this.currentSettings.deviceZoom = zoom;
+        await aiService.saveSettings(this.currentSettings);
+        this.applyDeviceFrame();
+    }
 
-        this.modelSelect.innerHTML = '';
+    updateDeviceUI() {
+        const id = this.currentSettings.device;
+        const framed = Boolean(DEVICE_PROFILES[id]?.width);
+        this.deviceSelect.value = id;
+        this.deviceProfileSelect.value = id;
+        this.rotateBtn.hidden = !framed;
+        this.zoomSelect.hidden = !framed;
+        this.zoomSelect.value = this.currentSettings.deviceZoom;
+        this.applyDeviceFrame();
+    }
 
-        if (filtered.length === 0) {
-            const option = document.createElement('option');
-            option.textContent = query ? 'No models match your search' : 'Loading models...';
-            option.disabled = true;
-            this.modelSelect.appendChild(option);
+    // Sizes the page to the device's screen, scaled to the zoom level.
+    // The desktop fills the window.
+    applyDeviceFrame() {
+        const device = DEVICE_PROFILES[this.currentSettings?.device];
+        const framed = Boolean(device?.width);
+        this.contentArea.classList.toggle('device-view', framed);
+        this.rotateBtn.classList.toggle('active', framed && this.currentSettings.deviceLandscape);
+
+        if (!framed) {
+            this.deviceFrame.removeAttribute('style');
+            this.contentFrame.removeAttribute('style');
             return;
         }
 
-        for (const model of filtered) {
-            const option = document.createElement('option');
-            option.value = model.id;
-            option.textContent = model.name;
-            if (preserveSelection && model.id === preserveSelection) {
-                option.selected = true;
+        const [width, height] = this.currentSettings.deviceLandscape
+            ? [device.height, device.width]
+            : [device.width, device.height];
+
+        let scale = Number(this.currentSettings.deviceZoom) / 100;
+        if (this.currentSettings.deviceZoom === 'fit') {
+            // Leave room for the padding around the device and its bezel
+            const margin = 64;
+            scale = Math.min(1, (this.contentArea.clientWidth - margin) / width, (this.contentArea.clientHeight - margin) / height);
+        }
+        if (!(scale > 0)) scale = 1;
+
+        this.deviceFrame.style.width = `${Math.round(width * scale)}px`;
+        this.deviceFrame.style.height = `${Math.round(height * scale)}px`;
+        this.contentFrame.style.width = `${width}px`;
+        this.contentFrame.style.height = `${height}px`;
+        this.contentFrame.style.transform = `scale(${scale})`;
+        this.deviceFrame.title = `${device.name} - ${width} × ${height} at ${Math.round(scale * 100)}%`;
+    }
+
+    // Status text for chatCompletion's onRetry
+    formatRetry(retry) {
+        if (retry.fallback) {
+            return `${retry.error.message} - trying fallback model ${retry.model}...`;
+        }
+        const seconds = Math.ceil(retry.delay / 1000);
+        const when = seconds > 0 ? `in ${seconds}s` : 'now';
+        return `${retry.error.message} - retrying ${retry.model || 'the model'} ${when} (retry ${retry.attempt} of ${this.currentSettings.maxRetries})...`;
+    }
+
+    // ==================== Usage ====================
+
+    // Shows session, day and month spending in the status bar, and says so
+    // when the budget is nearly or completely used up
+    async updateUsageUI() {
+        const summary = await aiService.getUsageSummary();
+        const budget = await aiService.getBudgetStatus(summary);
+
+        const warning = budget.state === 'warning' || budget.state === 'exceeded' || budget.unpriced > 0 ? '⚠️ ' : '';
+        this.usageBtn.textContent = `${warning}Session ${this.formatUsageTotal(summary.session)} · Today ${this.formatUsageTotal(summary.today)} · Month ${this.formatUsageTotal(summary.month)}`;
+        this.usageBtn.classList.toggle('warning', budget.state === 'warning');
+        this.usageBtn.classList.toggle('exceeded', budget.state === 'exceeded');
+
+        const lines = [
+            `This session: ${this.formatTokens(summary.session)}`,
+            `Today: ${this.formatTokens(summary.today)}`,
+            `This month: ${this.formatTokens(summary.month)}`
+        ];
+        if (budget.state !== 'none') {
+            lines.push(`Budget: $${budget.spent.toFixed(2)} of $${budget.limit.toFixed(2)} per ${budget.period}`);
+        }
+        if (budget.unpriced > 0) {
+            lines.push(`${budget.unpriced} request${budget.unpriced === 1 ? '' : 's'} had no known price and ${budget.unpriced === 1 ? "isn't" : "aren't"} counted towards the budget`);
+        }
+        lines.push('Click for a breakdown by model');
+        this.usageBtn.title = lines.join('\n');
+
+        // Say it once, when the budget crosses a threshold
+        if (budget.state !== this.budgetState && (budget.state === 'warning' || budget.state === 'exceeded')) {
+            this.setStatus(budget.state === 'exceeded'
+                ? `Spending budget reached ($${budget.limit.toFixed(2)} per ${budget.period}) - no new pages will be generated`
+                : `Spending budget nearly used: $${budget.spent.toFixed(2)} of $${budget.limit.toFixed(2)} ${budget.period === 'day' ? 'today' : 'this month'}`);
+        }
+        this.budgetState = budget.state;
+
+        // The budget only holds if it knows what pages cost
+        if (this.budgetUnpriced !== null && budget.unpriced > this.budgetUnpriced) {
+            this.setStatus("The model has no known pricing, so its requests don't count towards the spending budget");
+        }
+        this.budgetUnpriced = budget.unpriced;
+        this.refreshInternalPage('about:settings');
+    }
+
+    // Dollars when any of the requests had a known price, tokens otherwise
+    formatUsageTotal(total) {
+        if (total.requests > 0 && total.unpriced === total.requests) {
+            return `${this.formatTokenCount(total.inputTokens + total.outputTokens)} tokens`;
+        }
+        return this.formatCost(total.cost);
+    }
+
+    formatTokens(total) {
+        const tokens = `${this.formatTokenCount(total.inputTokens)} in / ${this.formatTokenCount(total.outputTokens)} out`;
+        const unpriced = total.unpriced > 0 ? `, ${total.unpriced} unpriced` : '';
+        return `${this.formatCost(total.cost)} (${total.requests} requests, ${tokens}${unpriced})`;
+    }
+
+    formatTokenCount(count) {
+        if (count < 1000) return String(count);
+        if (count < 1000000) return `${(count / 1000).toFixed(1)}k`;
+        return `${(count / 1000000).toFixed(2)}M`;
+    }
+
+    formatCost(cost) {
+        return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+    }
+
+    // ==================== World Archives ====================
+
+    // Downloads the given domains' pages (all of them when domains is null)
+    async exportWorld(domains = null) {
+        const archive = await aiService.exportWorld(domains);
+        if (archive.pages.length === 0) {
+            this.setStatus('Nothing to export');
+            return;
+        }
+
+        const name = archive.domains.length === 1 ? archive.domains[0] : new Date().toISOString().slice(0, 10);
+        const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `fakebrowser-world-${name}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+
+        this.setStatus(`Exported ${archive.pages.length} page${archive.pages.length === 1 ? '' : 's'} from ${archive.domains.length} site${archive.domains.length === 1 ? '' : 's'}`);
+    }
+
+    async importWorld(text, conflict) {
+        try {
+            const onConflict = ['skip', 'overwrite', 'versions'].includes(conflict) ? conflict : 'skip';
+            const result = await aiService.importWorld(JSON.parse(text), onConflict);
+            const parts = [`${result.added} added`];
+            if (result.overwritten) parts.push(`${result.overwritten} overwritten`);
+            if (result.merged) parts.push(`${result.merged} merged as versions`);
+            if (result.skipped) parts.push(`${result.skipped} skipped`);
+            this.setStatus(`Imported world: ${parts.join(', ')}`);
+        } catch (error) {
+            this.setStatus(`Import failed: ${error instanceof SyntaxError ? 'the file is not valid JSON' : error.message}`);
+        }
+        this.refreshInternalPage('about:cache');
+    }
+
+    // ==================== Prefetching ====================
+
+    // Frozen tabs never generate, and about: pages have nothing to prefetch
+    canPrefetch(tab) {
+        return Boolean(this.currentSettings.prefetch && tab && !tab.frozen && tab.content && !this.isInternalUrl(tab.url));
+    }
+
+    // Queues the likely next links of the tab's page; background tabs are
+    // queued when they're switched to. A frozen tab generates nothing, not
+    // even in the background, so it cancels what is queued.
+    schedulePrefetch(tab) {
+        if (!this.isActive(tab)) return;
+        if (tab.frozen) {
+            prefetcher.clear();
+        } else if (this.canPrefetch(tab)) {
+            prefetcher.schedule(tab.url, tab.content, tab.era);
+        }
+    }
+
+    prefetchHoveredLink(url) {
+        if (this.canPrefetch(this.activeTab)) {
+            prefetcher.bump(url, this.activeTab.era);
+        }
+    }
+
+    // Turning prefetching off stops it straight away; turning it on
+    // starts with the page in front of the user
+    applyPrefetch() {
+        if (!this.currentSettings.prefetch) {
+            prefetcher.clear();
+        } else if (this.activeTab) {
+            this.schedulePrefetch(this.activeTab);
+        }
+    }
+
+    // ==================== Site Bible ====================
+
+    async recordSiteBible(url, html) {
+        const domain = aiService.getSiteDomain(url);
+        if (!domain || this.pendingBibles.has(domain)) return;
+
+        this.pendingBibles.add(domain);
+        try {
+            if (!await aiService.getSiteBible(domain)) {
+                await aiService.createSiteBible(url, html);
+                this.updateUsageUI();
             }
-            this.modelSelect.appendChild(option);
+        } catch (error) {
+            // Not fatal - the next page on this site will try again
+            console.error('Site bible error:', error);
+        } finally {
+            this.pendingBibles.delete(domain);
         }
     }
 
-    filterModels() {
-        const currentSelection = this.modelSelect.value;
-        this.populateModelSelect(currentSelection);
+    async openSiteBible() {
+        const tab = this.activeTab;
+        const domain = tab && tab.url ? aiService.getSiteDomain(tab.url) : null;
+        if (!domain) {
+            this.setStatus('Open a page to view its site bible');
+            return;
+        }
+
+        const bible = await aiService.getSiteBible(domain);
+        this.bibleDomain = domain;
+
+        this.bibleDomainText.textContent = bible
+            ? domain
+            : `${domain} - no bible yet, one is recorded from the next page generated`;
+        this.bibleNameInput.value = bible?.name || '';
+        this.biblePaletteInput.value = bible?.palette.join(', ') || '';
+        this.bibleNavInput.value = bible?.nav.join('\n') || '';
+        this.bibleEntitiesInput.value = bible?.entities.join('\n') || '';
+        this.bibleNotesInput.value = bible?.notes || '';
+
+        const profiles = await aiService.getPromptProfiles();
+        this.bibleProfileSelect.innerHTML = '';
+        for (const profile of [{ id: '', name: 'Use the global profile' }, ...profiles]) {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            this.bibleProfileSelect.appendChild(option);
+        }
+        const override = this.currentSettings.profileOverrides[domain];
+        this.bibleProfileSelect.value = profiles.some(p => p.id === override) ? override : '';
+
+        this.bibleModal.classList.remove('hidden');
     }
 
-    // ==================== UI Helpers ====================
+    closeSiteBible() {
+        this.bibleModal.classList.add('hidden');
+    }
+
+    async saveSiteBible() {
+        const existing = await aiService.getSiteBible(this.bibleDomain);
+        const lines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+        await aiService.saveSiteBible({
+            domain: this.bibleDomain,
+            name: this.bibleNameInput.value.trim(),
+            palette: this.biblePaletteInput.value.split(',').map(c => c.trim()).filter(Boolean),
+            nav: lines(this.bibleNavInput.value),
+            entities: lines(this.bibleEntitiesInput.value),
+            notes: this.bibleNotesInput.value.trim(),
+            createdAt: existing?.createdAt || Date.now()
+        });
 
-    setLoading(isLoading) {
-        this.isLoading = isLoading;
-        if (isLoading) {
-            this.loadingBar.classList.add('loading');
-            this.goBtn.disabled = true;
+        this.closeSiteBible();
+        this.setStatus(`Site bible saved for ${this.bibleDomain}`);
+    }
+
+    // Picks the prompt profile for a site; '' goes back to the global one
+    async setSiteProfile(domain, id) {
+        const overrides = { ...this.currentSettings.profileOverrides };
+        if (id) {
+            overrides[domain] = id;
         } else {
-            this.loadingBar.classList.remove('loading');
-            this.goBtn.disabled = false;
+            delete overrides[domain];
+        }
+        this.currentSettings.profileOverrides = overrides;
+
+        await aiService.saveSettings(this.currentSettings);
+        this.refreshInternalPage('about:settings');
+        this.setStatus(id ? `${domain} now uses the ${this.bibleProfileSelect.selectedOptions[0].textContent} profile` : `${domain} now uses the global profile`);
+    }
+
+    async clearSiteBible() {
+        await aiService.clearSiteBible(this.bibleDomain);
+        this.closeSiteBible();
+        this.setStatus(`Site bible cleared for ${this.bibleDomain}`);
+    }
+
+    // ==================== UI Helpers ====================
+
+    setLoading(tab, isLoading) {
+        tab.isLoading = isLoading;
+
+        const tabEl = this.tabsContainer.querySelector(`[data-tab-id="${tab.id}"]`);
+        if (tabEl) tabEl.classList.toggle('loading', isLoading);
+
+        if (this.isActive(tab)) {
+            this.updateLoadingUI();
+        }
+    }
+
+    // Reflects the active tab's loading state in the shared chrome
+    updateLoadingUI() {
+        const isLoading = Boolean(this.activeTab?.isLoading);
+        this.loadingBar.classList.toggle('loading', isLoading);
+        this.refreshBtn.hidden = isLoading;
+        this.stopBtn.hidden = !isLoading;
+        this.updateVersionsButton();
+    }
+
+    setTabStatus(tab, text) {
+        tab.status = text;
+        if (this.isActive(tab)) {
+            this.setStatus(text);
         }
     }
 
@@ -922,6 +4737,11 @@ class FakeBrowser {
         }
     }
 
+    formatSize(length) {
+        if (length < 1024) return `${length} B`;
+        return `${(length / 1024).toFixed(1)} KB`;
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
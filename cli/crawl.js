@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+// Headless FakeBrowser crawler
+// Generates a fake site starting from one URL, follows the links in each
+// generated page breadth-first, and writes every page to disk along with a
+// manifest of the URLs, links and forms found. Pages are cached, so running
+// the same crawl again only generates what is missing.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+
+const { FileAIService } = require('./file-ai-service.js');
+const { ImageSynthesizer } = require('../images.js');
+const { PROVIDER_PRESETS, createProvider } = require('../providers.js');
+const { ContentPolicyError, DEVICE_PROFILES, CONTENT_POLICIES, MIN_ERA_YEAR } = require('../ai-service.js');
+
+const USAGE = `Usage: node cli/crawl.js <url> [options]
+
+Crawl:
+  -o, --out <dir>            Where pages and manifest.json are written (default: crawl)
+  -d, --depth <n>            How many links to follow from the start page (default: 2)
+  -n, --max-pages <n>        Stop after this many pages (default: 20)
+      --all-sites            Follow links to other domains too
+      --cache <dir>          Page cache directory (default: <out>/.cache)
+      --refresh              Generate every page again, even if it is cached
+      --keep-images          Leave image references as generated instead of
+                             drawing them locally
+
+Model:
+      --provider <id>        ${Object.keys(PROVIDER_PRESETS).join(', ')} (default: custom)
+      --base-url <url>       Endpoint to use instead of the provider's own
+      --model <id>           Model to generate pages with
+      --fallback <id>        Model to try when the others fail; repeatable
+      --retries <n>          Retries per model for failed requests (default: 2)
+                             The API key is read from FAKEBROWSER_API_KEY
+
+Pages:
+      --device <id>          ${Object.keys(DEVICE_PROFILES).join(', ')} (default: desktop)
+      --era <year>           Browse the web as it looked in this year
+      --policy <id>          ${Object.keys(CONTENT_POLICIES).join(', ')} (default: unrestricted)
+      --no-bible             Don't keep pages on a site consistent with its first page
+
+  -h, --help                 Show this help`;
+
+class Crawler {
+    // options: { out, depth, maxPages, allSites, refresh, keepImages, era, bibles }
+    constructor(service, options) {
+        this.service = service;
+        this.options = options;
+        this.images = new ImageSynthesizer();
+        this.usedFiles = new Set();
+    }
+
+    // Crawls from startUrl and resolves with the manifest, which is also
+    // written to the output directory
+    async crawl(startUrl) {
+        startUrl = this.resolveUrl(startUrl);
+        if (!startUrl) {
+            throw new Error('The start URL must be an http or https address');
+        }
+
+        const startDomain = this.service.getSiteDomain(startUrl);
+        const queue = [{ url: startUrl, depth: 0 }];
+        const seen = new Set([startUrl]);
+        const pages = [];
+        const errors = [];
+
+        while (queue.length > 0 && pages.length < this.options.maxPages) {
+            const { url, depth } = queue.shift();
+            this.log(`[${pages.length + 1}/${this.options.maxPages}] ${url}`);
+
+            let page;
+            try {
+                page = await this.visit(url, depth);
+            } catch (error) {
+                // A bad key fails every page the same way
+                if (error.status === 401 || error.status === 403) throw error;
+                this.log(`  ${error.message}`);
+                errors.push({ url, depth, message: error.message, blocked: error.name === 'ContentPolicyError' });
+                continue;
+            }
+            pages.push(page);
+
+            if (depth >= this.options.depth) continue;
+            for (const link of page.links) {
+                if (seen.has(link)) continue;
+                if (!this.options.allSites && this.service.getSiteDomain(link) !== startDomain) continue;
+                seen.add(link);
+                queue.push({ url: link, depth: depth + 1 });
+            }
+        }
+
+        const settings = await this.service.getSettings();
+        const usage = (await this.service.getUsageSummary()).session;
+        const manifest = {
+            startUrl: startUrl,
+            createdAt: new Date().toISOString(),
+            options: {
+                depth: this.options.depth,
+                maxPages: this.options.maxPages,
+                allSites: this.options.allSites,
+                provider: settings.provider,
+                model: settings.model,
+                device: settings.device,
+                era: this.options.era,
+                policy: settings.contentPolicy
+            },
+            pages: pages,
+            errors: errors,
+            // Links that were found but not crawled, because of the limits
+            pending: queue.map(item => item.url),
+            usage: usage
+        };
+
+        await fs.mkdir(this.options.out, { recursive: true });
+        await fs.writeFile(path.join(this.options.out, 'manifest.json'), JSON.stringify(manifest, null, 2));
+        return manifest;
+    }
+
+    // Generates or loads one page, writes it out, and resolves with its
+    // manifest entry
+    async visit(url, depth) {
+        const service = this.service;
+        const context = await service.getPageContext(url, { era: this.options.era });
+
+        // The cache may hold pages from before the policy was set
+        const blocked = await service.checkUrlPolicy(url, null, context);
+        if (blocked) {
+            throw new ContentPolicyError(blocked);
+        }
+
+        let entry = this.options.refresh ? null : await service.getCachedEntry(url, null, context.variant);
+        const cachedBlocked = entry && await service.checkCachedPolicy(entry.html, context);
+        if (cachedBlocked) {
+            throw new ContentPolicyError(cachedBlocked);
+        }
+        const cached = Boolean(entry);
+        if (!entry) {
+            let generation = null;
+            const html = await service.generatePage(url, {
+                context: context,
+                onResult: (result) => { generation = result; },
+                onRetry: ({ model, error, delay, fallback }) => {
+                    this.log(fallback ? `  ${error.message}; trying ${model}` : `  ${error.message}; retrying in ${Math.round(delay / 1000)}s`);
+                }
+            });
+            await service.cachePage(url, html, null, generation, context.variant);
+            entry = { html, model: generation?.model };
+
+            // The bible describes the site today, so it doesn't hold for other years
+            if (this.options.bibles && !context.era) {
+                await this.recordSiteBible(url, html);
+            }
+        }
+
+        const file = this.getPageFile(url);
+        const html = this.options.keepImages ? entry.html : this.images.rewriteImages(entry.html).html;
+        await fs.mkdir(path.dirname(path.join(this.options.out, file)), { recursive: true });
+        await fs.writeFile(path.join(this.options.out, file), html);
+
+        return {
+            url: url,
+            file: file.split(path.sep).join('/'),
+            depth: depth,
+            title: service.getPageTitle(entry.html),
+            model: entry.model || null,
+            cached: cached,
+            links: this.findLinks(entry.html, url),
+            forms: this.findForms(entry.html, url)
+        };
+    }
+
+    async recordSiteBible(url, html) {
+        const domain = this.service.getSiteDomain(url);
+        try {
+            if (!await this.service.getSiteBible(domain)) {
+                await this.service.createSiteBible(url, html);
+            }
+        } catch (error) {
+            // Not fatal - the next page on this site will try again
+            this.log(`  Site bible error: ${error.message}`);
+        }
+    }
+
+    // Where a page is written, relative to the output directory: the host,
+    // then the path, with a hash of the query string when there is one
+    getPageFile(url) {
+        const safe = (part) => part.replace(/[^a-z0-9._-]/gi, '_');
+        const urlObj = new URL(url);
+        const segments = urlObj.pathname.split('/').filter(Boolean).map(safe);
+        if (segments.length === 0 || urlObj.pathname.endsWith('/')) {
+            segments.push('index');
+        }
+
+        let name = segments.pop().replace(/\.html?$/i, '');
+        if (urlObj.search) {
+            name += `_${crypto.createHash('sha256').update(urlObj.search).digest('hex').slice(0, 8)}`;
+        }
+
+        let file = path.join(safe(urlObj.host), ...segments, `${name}.html`);
+        for (let i = 2; this.usedFiles.has(file); i++) {
+            file = path.join(safe(urlObj.host), ...segments, `${name}-${i}.html`);
+        }
+        this.usedFiles.add(file);
+        return file;
+    }
+
+    // Markup that the crawler should look through; links in scripts and
+    // comments aren't links
+    getMarkup(html) {
+        return html
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '');
+    }
+
+    // Resolves an href the way the browser does, leaving out fragments and
+    // anything that isn't a web page. Returns null for those.
+    resolveUrl(href, baseUrl) {
+        if (!href || href.startsWith('javascript:') || href.startsWith('#')) {
+            return null;
+        }
+        try {
+            const urlObj = new URL(href, baseUrl);
+            if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') return null;
+            urlObj.hash = '';
+            return urlObj.href;
+        } catch {
+            return null;
+        }
+    }
+
+    // Every distinct page the html links to, in order of appearance
+    findLinks(html, pageUrl) {
+        const links = new Set();
+        for (const [tag] of this.getMarkup(html).matchAll(/<a\b[^>]*>/gi)) {
+            const url = this.resolveUrl(this.images.parseAttributes(tag).href, pageUrl);
+            if (url) links.add(url);
+        }
+        return [...links];
+    }
+
+    // Each form as { action, method, fields: [{ name, type }] }
+    findForms(html, pageUrl) {
+        const forms = [];
+        for (const [, tag, body] of this.getMarkup(html).matchAll(/(<form\b[^>]*>)([\s\S]*?)<\/form\s*>/gi)) {
+            const attrs = this.images.parseAttributes(tag);
+            const fields = [];
+            for (const [field, element] of body.matchAll(/<(input|select|textarea|button)\b[^>]*>/gi)) {
+                const fieldAttrs = this.images.parseAttributes(field);
+                if (!fieldAttrs.name) continue;
+                const type = element.toLowerCase() === 'input' ? (fieldAttrs.type || 'text').toLowerCase() : element.toLowerCase();
+                fields.push({ name: fieldAttrs.name, type });
+            }
+            forms.push({
+                action: this.resolveUrl(attrs.action, pageUrl) || pageUrl,
+                method: (attrs.method || 'GET').toUpperCase(),
+                fields: fields
+            });
+        }
+        return forms;
+    }
+
+    log(message) {
+        process.stderr.write(`${message}\n`);
+    }
+}
+
+// A whole number no smaller than min, or the fallback
+function parseCount(value, fallback, min = 0) {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        throw new Error(`Expected a whole number of at least ${min}, got "${value}"`);
+    }
+    return number;
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            out: { type: 'string', short: 'o', default: 'crawl' },
+            depth: { type: 'string', short: 'd' },
+            'max-pages': { type: 'string', short: 'n' },
+            'all-sites': { type: 'boolean', default: false },
+            cache: { type: 'string' },
+            refresh: { type: 'boolean', default: false },
+            'keep-images': { type: 'boolean', default: false },
+            provider: { type: 'string', default: 'custom' },
+            'base-url': { type: 'string', default: '' },
+            model: { type: 'string', default: '' },
+            fallback: { type: 'string', multiple: true, default: [] },
+            retries: { type: 'string' },
+            device: { type: 'string', default: 'desktop' },
+            era: { type: 'string' },
+            policy: { type: 'string', default: 'unrestricted' },
+            'no-bible': { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help || positionals.length !== 1) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    // Same as typing it in the address bar, minus searches
+    const startUrl = /^https?:\/\//i.test(positionals[0]) ? positionals[0] : `https://${positionals[0]}`;
+    const choices = [['provider', PROVIDER_PRESETS], ['device', DEVICE_PROFILES], ['policy', CONTENT_POLICIES]];
+    for (const [name, known] of choices) {
+        if (!known[values[name]]) {
+            throw new Error(`Unknown ${name} "${values[name]}"; expected one of ${Object.keys(known).join(', ')}`);
+        }
+    }
+
+    const service = new FileAIService(values.cache || path.join(values.out, '.cache'), {
+        provider: values.provider,
+        baseUrl: values['base-url'],
+        apiKey: process.env.FAKEBROWSER_API_KEY || '',
+        model: values.model,
+        fallbackModels: values.fallback,
+        maxRetries: parseCount(values.retries, 2),
+        device: values.device,
+        contentPolicy: values.policy,
+        streaming: false
+    });
+
+    const era = service.normalizeEra(values.era);
+    if (values.era !== undefined && era === null) {
+        throw new Error(`The era must be a year from ${MIN_ERA_YEAR} to ${new Date().getFullYear() - 1}`);
+    }
+
+    if (!await service.isConfigured()) {
+        throw new Error(`Set FAKEBROWSER_API_KEY to your ${createProvider(service.settings).name} API key`);
+    }
+
+    const crawler = new Crawler(service, {
+        out: values.out,
+        depth: parseCount(values.depth, 2),
+        maxPages: parseCount(values['max-pages'], 20, 1),
+        allSites: values['all-sites'],
+        refresh: values.refresh,
+        keepImages: values['keep-images'],
+        era: era,
+        bibles: !values['no-bible']
+    });
+
+    const manifest = await crawler.crawl(startUrl);
+    const generated = manifest.pages.filter(page => !page.cached).length;
+    crawler.log(`Wrote ${manifest.pages.length} pages (${generated} generated, ${manifest.pages.length - generated} from the cache) to ${values.out}` +
+        (manifest.errors.length ? `; ${manifest.errors.length} failed` : ''));
+    return manifest.pages.length > 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then((code) => { process.exitCode = code; })
+        .catch((error) => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { Crawler, main };
@@ -0,0 +1,149 @@
+// File-backed AIService for running FakeBrowser outside a browser
+// Pages and site bibles are kept as JSON files in a cache directory instead of
+// IndexedDB, settings come from the caller, and usage is only counted for the
+// current run.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// The browser loads these as scripts sharing one global scope; ai-service.js
+// expects to find them the same way
+Object.assign(globalThis, require('../system-prompt.js'), require('../providers.js'));
+const { AIService, modelService } = require('../ai-service.js');
+
+class FileAIService extends AIService {
+    // settings are merged over the defaults; anything not given keeps its
+    // default value
+    constructor(cacheDir, settings = {}) {
+        super();
+        this.cacheDir = cacheDir;
+        this.settings = { ...this.getDefaultSettings(), ...settings };
+        this.usageRecords = [];
+    }
+
+    async initDB() {
+        await fs.mkdir(path.join(this.cacheDir, 'pages'), { recursive: true });
+        await fs.mkdir(path.join(this.cacheDir, 'bibles'), { recursive: true });
+    }
+
+    async loadSettings() {
+        return this.settings;
+    }
+
+    async saveSettings(settings) {
+        this.settings = settings;
+    }
+
+    // Only the built-in prompts; there is nowhere to edit others
+    async getPromptProfiles() {
+        return [this.getBuiltInProfile()];
+    }
+
+    // Page Cache Methods
+    // One file per cache key, named by its hash since keys are whole URLs
+    getCacheFile(key) {
+        const name = crypto.createHash('sha256').update(key).digest('hex');
+        return path.join(this.cacheDir, 'pages', `${name}.json`);
+    }
+
+    async getCacheRecord(key) {
+        await this.ensureDB();
+        return this.readJson(this.getCacheFile(key));
+    }
+
+    // Stores the page as { url, pageUrl, method, variant, html, model,
+    // profileId, timestamp }, replacing any earlier one; there are no
+    // versions and nothing is evicted
+    async cachePage(url, html, formRequest = null, generation = null, variant = '') {
+        await this.ensureDB();
+        const key = this.getCacheKey(url, formRequest, variant);
+        const settings = await this.getSettings();
+
+        await this.writeJson(this.getCacheFile(key), {
+            url: key,
+            pageUrl: url,
+            method: formRequest ? formRequest.method : 'GET',
+            ...(variant && { variant }),
+            html: html,
+            model: generation?.model || settings.model,
+            profileId: generation?.profileId || null,
+            timestamp: Date.now()
+        });
+        return [];
+    }
+
+    async clearCachedPage(url, formRequest = null, variant = '') {
+        await fs.rm(this.getCacheFile(this.getCacheKey(url, formRequest, variant)), { force: true });
+    }
+
+    // Site Bible Methods
+    getBibleFile(domain) {
+        return path.join(this.cacheDir, 'bibles', `${domain.replace(/[^a-z0-9.-]/gi, '_')}.json`);
+    }
+
+    async getSiteBible(domain) {
+        if (!domain) return null;
+        await this.ensureDB();
+        return this.readJson(this.getBibleFile(domain));
+    }
+
+    async saveSiteBible(bible) {
+        await this.ensureDB();
+        await this.writeJson(this.getBibleFile(bible.domain), { ...bible, updatedAt: Date.now() });
+    }
+
+    async clearSiteBible(domain) {
+        await fs.rm(this.getBibleFile(domain), { force: true });
+    }
+
+    // Usage Methods
+    async recordUsage(provider, model, usage) {
+        const record = {
+            timestamp: Date.now(),
+            model: model,
+            inputTokens: usage.inputTokens,
+            outputTokens: usage.outputTokens,
+            cost: modelService.getCost(provider, model, usage)
+        };
+        this.usageRecords.push(record);
+        return record;
+    }
+
+    // Totals for this run, in the shape of AIService.getUsageSummary. Every
+    // period covers the whole run, so a budget applies to the run alone.
+    async getUsageSummary() {
+        const total = { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 };
+        for (const record of this.usageRecords) {
+            total.requests++;
+            total.inputTokens += record.inputTokens;
+            total.outputTokens += record.outputTokens;
+            if (record.cost === null) {
+                total.unpriced++;
+            } else {
+                total.cost += record.cost;
+            }
+        }
+        return { session: total, today: total, month: total, models: [] };
+    }
+
+    // Resolves with the parsed file, or null if it doesn't exist
+    async readJson(file) {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Writes through a temporary file so an interrupted run never leaves a
+    // half-written entry behind
+    async writeJson(file, value) {
+        const temp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(temp, JSON.stringify(value));
+        await fs.rename(temp, file);
+    }
+}
+
+module.exports = { FileAIService };
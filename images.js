@@ -0,0 +1,263 @@
+// Local Image Synthesis for FakeBrowser
+// Generated pages are rewritten before they render so image references never
+// reach the network: each <img> becomes a deterministic SVG drawn from its alt
+// text, size and the page's palette. An optional backend can replace those
+// placeholders with generated images afterwards.
+
+// Used when a page doesn't define enough colors of its own
+const DEFAULT_IMAGE_PALETTE = ['#667eea', '#764ba2', '#4facfe', '#43e97b', '#f6d365'];
+
+// Size for images that don't say how big they are
+const DEFAULT_IMAGE_WIDTH = 400;
+const DEFAULT_IMAGE_HEIGHT = 300;
+
+class ImageSynthesizer {
+    constructor() {
+        // async ({ prompt, width, height }) => data: URL, or null to keep the placeholder
+        this.backend = null;
+        this.backendCache = new Map();
+    }
+
+    setBackend(backend) {
+        this.backend = backend;
+        this.backendCache.clear();
+    }
+
+    // Rewrites every remote image reference in html to a local placeholder.
+    // Returns { html, images }, where images lists { id, alt, width, height }
+    // for each rewritten <img> so a backend can replace it later.
+    rewriteImages(html) {
+        const palette = this.extractPalette(html);
+        const images = [];
+
+        // <img> tags: swap src for a placeholder and drop srcset
+        html = html.replace(/<img\b[^>]*>/gi, (tag) => {
+            const attrs = this.parseAttributes(tag);
+            if (this.isLocalUrl(attrs.src) && !attrs.srcset) return tag;
+
+            const image = {
+                id: images.length,
+                alt: attrs.alt || attrs.title || '',
+                width: this.parseDimension(attrs.width, attrs.style, 'width') || DEFAULT_IMAGE_WIDTH,
+                height: this.parseDimension(attrs.height, attrs.style, 'height') || DEFAULT_IMAGE_HEIGHT
+            };
+            images.push(image);
+
+            const src = this.isLocalUrl(attrs.src)
+                ? attrs.src
+                : this.toDataUrl(this.createSvg(image.alt, image.width, image.height, palette, attrs.src || ''));
+
+            return this.replaceAttributes(tag, { src: src, srcset: null, 'data-fb-image': String(image.id) });
+        });
+
+        // <picture> sources and <video> posters fall back to the placeholder or nothing
+        html = html.replace(/<source\b[^>]*>/gi, tag => this.replaceAttributes(tag, { srcset: null }));
+        html = html.replace(/<video\b[^>]*>/gi, (tag) => {
+            const attrs = this.parseAttributes(tag);
+            if (!attrs.poster || this.isLocalUrl(attrs.poster)) return tag;
+            const svg = this.createSvg(attrs.title || '', DEFAULT_IMAGE_WIDTH * 2, DEFAULT_IMAGE_HEIGHT * 1.5, palette, attrs.poster);
+            return this.replaceAttributes(tag, { poster: this.toDataUrl(svg) });
+        });
+
+        // Background images in stylesheets and style attributes
+        html = html.replace(/url\(\s*(['"]?)((?:https?:)?\/\/[^'")]+)\1\s*\)/gi, (match, quote, url) => {
+            return `url("${this.toDataUrl(this.createSvg('', DEFAULT_IMAGE_WIDTH, DEFAULT_IMAGE_HEIGHT, palette, url))}")`;
+        });
+
+        return { html, images };
+    }
+
+    isLocalUrl(url) {
+        return Boolean(url) && /^(data|blob):/i.test(url.trim());
+    }
+
+    parseAttributes(tag) {
+        const attrs = {};
+        const pattern = /([^\s=<>"'\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+        // Skip the tag name
+        const body = tag.replace(/^<\w+/, '').replace(/\/?>$/, '');
+        let match;
+        while ((match = pattern.exec(body))) {
+            attrs[match[1].toLowerCase()] = this.decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+        }
+        return attrs;
+    }
+
+    decodeEntities(text) {
+        return text.replace(/&(amp|lt|gt|quot|#39);/g, (match, name) => ({
+            amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'"
+        })[name]);
+    }
+
+    // Sets attributes on a tag; null removes one
+    replaceAttributes(tag, changes) {
+        const selfClosing = /\/>$/.test(tag);
+        const name = tag.match(/^<(\w+)/)[1];
+        const attrs = this.parseAttributes(tag);
+
+        for (const [key, value] of Object.entries(changes)) {
+            if (value === null) {
+                delete attrs[key];
+            } else {
+                attrs[key] = value;
+            }
+        }
+
+        const escape = (text) => text.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+        const parts = Object.entries(attrs).map(([key, value]) => value === '' ? key : `${key}="${escape(value)}"`);
+        return `<${name}${parts.length ? ' ' + parts.join(' ') : ''}${selfClosing ? ' />' : '>'}`;
+    }
+
+    // Pixel size from a width/height attribute or inline style
+    parseDimension(attribute, style, property) {
+        const fromAttribute = parseInt(attribute, 10);
+        if (fromAttribute > 0) return Math.min(fromAttribute, 2000);
+
+        const match = (style || '').match(new RegExp(`(?:^|;)\\s*${property}\\s*:\\s*(\\d+)px`, 'i'));
+        return match ? Math.min(parseInt(match[1], 10), 2000) : 0;
+    }
+
+    // The page's most used colors, skipping near-white, near-black and greys
+    extractPalette(html) {
+        const counts = new Map();
+        for (const [, hex] of html.matchAll(/#([0-9a-f]{6}|[0-9a-f]{3})\b/gi)) {
+            const color = this.normalizeHex(hex);
+            if (!this.isColorful(color)) continue;
+            counts.set(color, (counts.get(color) || 0) + 1);
+        }
+
+        const colors = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([color]) => color).slice(0, 5);
+        return colors.length >= 2 ? colors : colors.concat(DEFAULT_IMAGE_PALETTE).slice(0, 5);
+    }
+
+    normalizeHex(hex) {
+        hex = hex.toLowerCase();
+        if (hex.length === 3) {
+            hex = hex.split('').map(c => c + c).join('');
+        }
+        return `#${hex}`;
+    }
+
+    isColorful(color) {
+        const [r, g, b] = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        return max - min > 40 && max > 40 && min < 235;
+    }
+
+    // Draws the same picture for the same alt text, size, palette and source
+    createSvg(alt, width, height, palette, source) {
+        const random = this.createRandom(this.hash(`${alt}|${source}|${width}x${height}`));
+        const pick = () => palette[Math.floor(random() * palette.length)];
+        const background = pick();
+        let accent = pick();
+        if (accent === background) {
+            accent = palette[(palette.indexOf(background) + 1) % palette.length];
+        }
+
+        const shapes = [];
+        const count = 3 + Math.floor(random() * 4);
+        for (let i = 0; i < count; i++) {
+            const x = Math.round(random() * width);
+            const y = Math.round(random() * height);
+            const size = Math.round((0.1 + random() * 0.35) * Math.min(width, height));
+            const opacity = (0.25 + random() * 0.45).toFixed(2);
+            const fill = pick();
+            if (random() < 0.5) {
+                shapes.push(`<circle cx="${x}" cy="${y}" r="${size}" fill="${fill}" opacity="${opacity}"/>`);
+            } else {
+                const angle = Math.round(random() * 90);
+                shapes.push(`<rect x="${x - size}" y="${y - size}" width="${size * 2}" height="${size * 1.4}" fill="${fill}" opacity="${opacity}" transform="rotate(${angle} ${x} ${y})"/>`);
+            }
+        }
+
+        let label = '';
+        if (alt && width >= 80 && height >= 40) {
+            const fontSize = Math.max(11, Math.min(24, Math.round(width / 20)));
+            const maxChars = Math.floor(width / (fontSize * 0.6)) - 2;
+            const text = alt.length > maxChars ? alt.slice(0, Math.max(1, maxChars - 1)) + '…' : alt;
+            label = `<text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif" font-size="${fontSize}" fill="#fff" opacity="0.9">${this.escapeXml(text)}</text>`;
+        }
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+            `<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="${background}"/><stop offset="1" stop-color="${accent}"/></linearGradient></defs>` +
+            `<rect width="100%" height="100%" fill="url(#g)"/>${shapes.join('')}${label}</svg>`;
+    }
+
+    escapeXml(text) {
+        return text.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+    }
+
+    toDataUrl(svg) {
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    }
+
+    // FNV-1a, for seeding
+    hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // mulberry32: a small seeded generator returning numbers in [0, 1)
+    createRandom(seed) {
+        return () => {
+            seed = (seed + 0x6d2b79f5) | 0;
+            let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Asks the backend for an image, remembering results for this session.
+    // Resolves with a data: URL, or null to keep the placeholder.
+    async generate(image, context = '') {
+        if (!this.backend) return null;
+
+        const prompt = context ? `${image.alt || 'An image'} (on ${context})` : (image.alt || 'An image');
+        const key = `${prompt}|${image.width}x${image.height}`;
+        if (!this.backendCache.has(key)) {
+            const request = Promise.resolve(this.backend({ prompt, width: image.width, height: image.height }))
+                .then(url => (typeof url === 'string' && url.startsWith('data:image/')) ? url : null)
+                .catch((error) => {
+                    console.error('Image backend error:', error);
+                    this.backendCache.delete(key);
+                    return null;
+                });
+            this.backendCache.set(key, request);
+        }
+        return this.backendCache.get(key);
+    }
+}
+
+// Backend for an OpenAI-compatible /images/generations endpoint, such as a
+// local Stable Diffusion server
+function createImageEndpointBackend(endpoint) {
+    return async ({ prompt, width, height }) => {
+        // Most servers only accept a few sizes; ask for the nearest square
+        const side = [256, 512, 1024].find(s => s >= Math.max(width, height)) || 1024;
+
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ prompt, n: 1, size: `${side}x${side}`, response_format: 'b64_json' })
+        });
+        if (!response.ok) {
+            throw new Error(`Image endpoint error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const b64 = data.data?.[0]?.b64_json;
+        return b64 ? `data:image/png;base64,${b64}` : null;
+    };
+}
+
+const imageSynthesizer = new ImageSynthesizer();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ImageSynthesizer, imageSynthesizer, createImageEndpointBackend };
+}
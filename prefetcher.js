@@ -0,0 +1,193 @@
+// Background Prefetching for FakeBrowser
+// After a page renders, the links the user is most likely to click next are
+// generated in the background into the page cache, so following them doesn't
+// wait for the model. Hovering a link moves it to the front of the queue.
+// Prefetching is bounded by how many pages generate at once, how many pages
+// of one site are prefetched, and how much it may spend in a session.
+
+// How many links of each page are queued
+const PREFETCH_LINKS_PER_PAGE = 4;
+
+// Longest the queue gets; hovering many links in passing drops the oldest
+const PREFETCH_QUEUE_LIMIT = 8;
+
+// Where a link sits says how likely it is to be clicked: result and article
+// headlines first, then the main navigation, then the rest of the main
+// content. Links in footers and sidebars are never prefetched.
+const PREFETCH_LINK_WEIGHTS = [
+    ['h1 a, h2 a, h3 a, article a, [class*="result"] a', 3],
+    ['nav a, header a, [role="navigation"] a', 2],
+    ['main a, [role="main"] a', 1]
+];
+const PREFETCH_SKIPPED_LINKS = 'footer a, aside a, [role="contentinfo"] a';
+
+class Prefetcher {
+    constructor() {
+        // Links waiting to be generated, next first: { url, era }
+        this.queue = [];
+        // Generations in progress by cache key: { controller, promise }
+        this.running = new Map();
+        // Links being looked at or generated, for the concurrency limit
+        this.active = 0;
+        // Pages generated this session, per site and in total, and what they cost
+        this.domainCounts = new Map();
+        this.generated = 0;
+        this.spent = 0;
+        // Called with (url, html, context) for each page generated
+        this.onGenerated = null;
+    }
+
+    // Replaces the queue with the likely next links of the page at pageUrl.
+    // era is the tab's, so the pages are generated for the same year.
+    schedule(pageUrl, html, era = null) {
+        this.queue = this.pickLinks(html, pageUrl).map(url => ({ url, era }));
+        this.pump();
+    }
+
+    // Moves url to the front of the queue, adding it if it isn't there
+    bump(url, era = null) {
+        url = this.resolveLink(url);
+        if (!url) return;
+
+        this.queue = this.queue.filter(item => item.url !== url || item.era !== era);
+        this.queue.unshift({ url, era });
+        this.queue.length = Math.min(this.queue.length, PREFETCH_QUEUE_LIMIT);
+        this.pump();
+    }
+
+    // Empties the queue and cancels the pages being generated
+    clear() {
+        this.queue = [];
+        for (const job of this.running.values()) {
+            job.controller.abort();
+        }
+    }
+
+    isPending(key) {
+        return this.running.has(key);
+    }
+
+    // Resolves once the page at cache key key is prefetched or has failed,
+    // or rejects when signal aborts first
+    async waitFor(key, signal) {
+        const job = this.running.get(key);
+        if (!job) return;
+
+        await new Promise((resolve, reject) => {
+            signal?.throwIfAborted();
+            job.promise.then(resolve, resolve);
+            signal?.addEventListener('abort', () => reject(signal.reason), { once: true });
+        });
+    }
+
+    // The page's most prominent links, most likely first
+    pickLinks(html, pageUrl) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const skipped = new Set(doc.querySelectorAll(PREFETCH_SKIPPED_LINKS));
+        const page = this.resolveLink(pageUrl);
+        const links = new Map();
+
+        doc.querySelectorAll('a[href]').forEach((link, index) => {
+            const url = !skipped.has(link) && this.resolveLink(link.getAttribute('href'), pageUrl);
+            if (!url || url === page) return;
+
+            const weight = PREFETCH_LINK_WEIGHTS.find(([selector]) => link.matches(selector))?.[1] || 0;
+            const known = links.get(url);
+            if (!known || known.weight < weight) {
+                links.set(url, { url, weight, index: known ? known.index : index });
+            }
+        });
+
+        return [...links.values()]
+            .sort((a, b) => (b.weight - a.weight) || (a.index - b.index))
+            .slice(0, PREFETCH_LINKS_PER_PAGE)
+            .map(link => link.url);
+    }
+
+    // An absolute http(s) URL without its fragment, or null for links that
+    // don't lead to another page
+    resolveLink(href, baseUrl) {
+        if (!href || href.startsWith('#') || href.startsWith('javascript:')) return null;
+        try {
+            const url = new URL(href, baseUrl);
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+            url.hash = '';
+            return url.href;
+        } catch {
+            return null;
+        }
+    }
+
+    // Starts queued pages while there is room for them
+    async pump() {
+        const settings = await aiService.getSettings();
+        while (settings.prefetch && this.queue.length > 0 && this.active < settings.prefetchConcurrency) {
+            const item = this.queue.shift();
+            this.active++;
+            this.run(item, settings).finally(() => {
+                this.active--;
+                this.pump();
+            });
+        }
+    }
+
+    async run(item, settings) {
+        if (!await this.hasSpendLeft(settings)) {
+            this.queue = [];
+            return;
+        }
+
+        const context = await aiService.getPageContext(item.url, { era: item.era });
+        const key = aiService.getCacheKey(item.url, null, context.variant);
+        if (await aiService.checkUrlPolicy(item.url, null, context)) return;
+        if (await aiService.getCachedEntry(item.url, null, context.variant)) return;
+
+        // Checked and claimed together, since other jobs run between the awaits
+        // above. Failed pages count too, so a failing site isn't retried forever.
+        const domain = aiService.getSiteDomain(item.url);
+        const count = this.domainCounts.get(domain) || 0;
+        if (this.running.has(key) || count >= settings.prefetchPerDomain) return;
+        this.domainCounts.set(domain, count + 1);
+
+        const controller = new AbortController();
+        const job = { controller, promise: this.generate(item.url, context, controller.signal) };
+        this.running.set(key, job);
+        try {
+            await job.promise;
+        } finally {
+            this.running.delete(key);
+        }
+    }
+
+    async generate(url, context, signal) {
+        let generation = null;
+        try {
+            const html = await aiService.generatePage(url, {
+                context: context,
+                signal: signal,
+                onResult: (result) => { generation = result; }
+            });
+            await aiService.cachePage(url, html, null, generation, context.variant);
+            this.generated++;
+            this.onGenerated?.(url, html, context);
+        } catch (error) {
+            // Cancelled and blocked pages are simply not prefetched
+            if (error.name !== 'AbortError' && error.name !== 'ContentPolicyError') {
+                console.error('Prefetch error:', error);
+            }
+        } finally {
+            this.spent += generation?.usage?.cost || 0;
+        }
+    }
+
+    // Prefetching stops at its own spending cap, and leaves the last part of
+    // the budget (past its warning) for pages the user asks for. Models with
+    // unknown pricing don't count towards either.
+    async hasSpendLeft(settings) {
+        const budget = await aiService.getBudgetStatus();
+        if (budget.state === 'warning' || budget.state === 'exceeded') return false;
+        return !(settings.prefetchSpendUSD > 0 && this.spent >= settings.prefetchSpendUSD);
+    }
+}
+
+const prefetcher = new Prefetcher();
@@ -0,0 +1,478 @@
+// LLM Provider Backends for FakeBrowser
+// Each provider knows how to reach one kind of API: its base URL, auth header
+// scheme, model list endpoint and request/response format.
+
+// Built-in provider presets. baseUrl, authScheme and modelsPath can be
+// overridden in settings, which is how self-hosted gateways are configured.
+const PROVIDER_PRESETS = {
+    openrouter: {
+        name: 'OpenRouter',
+        format: 'openai',
+        baseUrl: 'https://openrouter.ai/api/v1',
+        authScheme: 'bearer',
+        modelsPath: '/models',
+        requiresKey: true,
+        keyPlaceholder: 'sk-or-...',
+        keyUrl: 'https://openrouter.ai/keys'
+    },
+    openai: {
+        name: 'OpenAI',
+        format: 'openai',
+        baseUrl: 'https://api.openai.com/v1',
+        authScheme: 'bearer',
+        modelsPath: '/models',
+        requiresKey: true,
+        keyPlaceholder: 'sk-...',
+        keyUrl: 'https://platform.openai.com/api-keys'
+    },
+    anthropic: {
+        name: 'Anthropic',
+        format: 'anthropic',
+        baseUrl: 'https://api.anthropic.com/v1',
+        authScheme: 'x-api-key',
+        modelsPath: '/models',
+        requiresKey: true,
+        keyPlaceholder: 'sk-ant-...',
+        keyUrl: 'https://console.anthropic.com/settings/keys'
+    },
+    ollama: {
+        name: 'Ollama (local)',
+        format: 'openai',
+        baseUrl: 'http://localhost:11434/v1',
+        authScheme: 'none',
+        modelsPath: '/models',
+        requiresKey: false
+    },
+    llamacpp: {
+        name: 'llama.cpp server (local)',
+        format: 'openai',
+        baseUrl: 'http://localhost:8080/v1',
+        authScheme: 'none',
+        modelsPath: '/models',
+        requiresKey: false
+    },
+    custom: {
+        name: 'Custom OpenAI-compatible',
+        format: 'openai',
+        baseUrl: 'http://localhost:8000/v1',
+        authScheme: 'bearer',
+        modelsPath: '/models',
+        requiresKey: false
+    },
+    mock: {
+        name: 'Mock (offline)',
+        format: 'mock',
+        baseUrl: '',
+        authScheme: 'none',
+        modelsPath: '',
+        requiresKey: false
+    }
+};
+
+class ProviderError extends Error {
+    // retryAfter is how long the server asked us to wait, in milliseconds
+    constructor(message, status = 0, retryAfter = null) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+}
+
+class LLMProvider {
+    constructor(id, config) {
+        this.id = id;
+        this.name = config.name;
+        this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+        this.authScheme = config.authScheme;
+        this.modelsPath = config.modelsPath;
+        this.requiresKey = config.requiresKey;
+        this.apiKey = config.apiKey || '';
+    }
+
+    // Identifies the model list this provider serves, for caching
+    get cacheKey() {
+        return `${this.id} ${this.baseUrl}${this.modelsPath}`;
+    }
+
+    getAuthHeaders() {
+        if (!this.apiKey || this.authScheme === 'none') return {};
+        if (this.authScheme === 'x-api-key') return { 'x-api-key': this.apiKey };
+        return { 'Authorization': `Bearer ${this.apiKey}` };
+    }
+
+    getHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            ...this.getAuthHeaders()
+        };
+    }
+
+    async request(path, body, signal) {
+        const response = await fetch(this.baseUrl + path, {
+            method: body ? 'POST' : 'GET',
+            headers: this.getHeaders(),
+            body: body ? JSON.stringify(body) : undefined,
+            signal: signal
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new ProviderError(
+                error.error?.message || `API error: ${response.status}`,
+                response.status,
+                this.parseRetryAfter(response.headers.get('Retry-After'))
+            );
+        }
+
+        return response;
+    }
+
+    // Retry-After is either a number of seconds or an HTTP date.
+    // Returns milliseconds, or null if the header is missing or unreadable.
+    parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    // Reads a server-sent event stream, passing each data payload to onData
+    async readEventStream(response, onData) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            // The last line may not end in a newline
+            buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = done ? '' : lines.pop();
+
+            for (const line of lines) {
+                // Skip blank separators, event names and SSE comments (": OPENROUTER PROCESSING")
+                if (!line.startsWith('data:')) continue;
+                onData(line.slice(5).trim());
+            }
+            if (done) break;
+        }
+    }
+
+    parseEvent(payload) {
+        try {
+            return JSON.parse(payload);
+        } catch {
+            return null;
+        }
+    }
+
+    // Returns { content, finishReason, usage }, where usage is
+    // { inputTokens, outputTokens } or null if the API didn't report it.
+    // Streams when options.onChunk is given, calling it with the text received
+    // so far. options.signal aborts the request.
+    async complete(messages, options) {
+        throw new Error(`${this.name} does not support completions`);
+    }
+
+    async fetchModels() {
+        const response = await this.request(this.modelsPath);
+        const data = await response.json();
+        return this.parseModels(data);
+    }
+
+    parseModels(data) {
+        return (data.data || [])
+            .filter(m => m.id)
+            .map(m => ({
+                id: m.id,
+                name: m.name || m.id,
+                created: m.created,
+                contextLength: m.context_length,
+                pricing: m.pricing
+            }));
+    }
+}
+
+// OpenAI chat completions format - OpenRouter, OpenAI, Ollama, llama.cpp and
+// most self-hosted gateways speak it
+class OpenAIProvider extends LLMProvider {
+    getHeaders() {
+        const headers = super.getHeaders();
+        if (this.id === 'openrouter') {
+            // Outside a browser there is no page to refer from
+            if (typeof window !== 'undefined') {
+                headers['HTTP-Referer'] = window.location.origin;
+            }
+            headers['X-Title'] = 'FakeBrowser';
+        }
+        return headers;
+    }
+
+    async complete(messages, options) {
+        const stream = Boolean(options.onChunk);
+
+        const response = await this.request('/chat/completions', {
+            model: options.model,
+            max_tokens: options.maxTokens,
+            stream: stream,
+            // Streams only report token usage when asked to
+            stream_options: stream ? { include_usage: true } : undefined,
+            messages: messages
+        }, options.signal);
+
+        if (stream) {
+            return this.readCompletionStream(response, options.onChunk);
+        }
+
+        const data = await response.json();
+
+        if (!data.choices || !data.choices[0]) {
+            throw new ProviderError('No response from AI');
+        }
+
+        return {
+            content: data.choices[0].message.content,
+            finishReason: data.choices[0].finish_reason,
+            usage: this.parseUsage(data.usage)
+        };
+    }
+
+    parseUsage(usage) {
+        if (!usage) return null;
+        return { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 };
+    }
+
+    // Throws if the stream ends without a finish_reason or [DONE] marker so a
+    // partial reply is never mistaken for a finished one.
+    async readCompletionStream(response, onChunk) {
+        let content = '';
+        let finishReason = null;
+        let finished = false;
+        let usage = null;
+
+        await this.readEventStream(response, (payload) => {
+            if (payload === '[DONE]') {
+                finished = true;
+                return;
+            }
+
+            const data = this.parseEvent(payload);
+            if (!data) return;
+
+            if (data.error) {
+                throw new ProviderError(data.error.message || 'Stream error', Number(data.error.code) || 0);
+            }
+
+            // Usage comes in the last chunk, which may have no choices
+            if (data.usage) {
+                usage = this.parseUsage(data.usage);
+            }
+
+            const choice = data.choices?.[0];
+            if (!choice) return;
+
+            if (choice.delta?.content) {
+                content += choice.delta.content;
+                onChunk(content);
+            }
+
+            if (choice.finish_reason === 'error') {
+                throw new ProviderError('Generation failed mid-stream');
+            }
+            if (choice.finish_reason) {
+                finishReason = choice.finish_reason;
+                finished = true;
+            }
+        });
+
+        if (!finished) {
+            throw new ProviderError('Connection closed before the reply finished generating');
+        }
+
+        return { content, finishReason, usage };
+    }
+}
+
+// Anthropic Messages API
+class AnthropicProvider extends LLMProvider {
+    getHeaders() {
+        return {
+            ...super.getHeaders(),
+            'anthropic-version': '2023-06-01',
+            'anthropic-dangerous-direct-browser-access': 'true'
+        };
+    }
+
+    async complete(messages, options) {
+        const stream = Boolean(options.onChunk);
+
+        // The system prompt is a top-level field rather than a message
+        const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+
+        const response = await this.request('/messages', {
+            model: options.model,
+            max_tokens: options.maxTokens,
+            stream: stream,
+            system: system || undefined,
+            messages: messages.filter(m => m.role !== 'system')
+        }, options.signal);
+
+        if (stream) {
+            return this.readMessageStream(response, options.onChunk);
+        }
+
+        const data = await response.json();
+
+        return {
+            content: (data.content || []).filter(b => b.type === 'text').map(b => b.text).join(''),
+            finishReason: this.mapStopReason(data.stop_reason),
+            usage: data.usage ? { inputTokens: data.usage.input_tokens || 0, outputTokens: data.usage.output_tokens || 0 } : null
+        };
+    }
+
+    async readMessageStream(response, onChunk) {
+        let content = '';
+        let finishReason = null;
+        let finished = false;
+        const usage = { inputTokens: 0, outputTokens: 0 };
+
+        await this.readEventStream(response, (payload) => {
+            const data = this.parseEvent(payload);
+            if (!data) return;
+
+            if (data.type === 'error') {
+                throw new ProviderError(data.error?.message || 'Stream error');
+            } else if (data.type === 'message_start') {
+                usage.inputTokens = data.message?.usage?.input_tokens || 0;
+            } else if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+                content += data.delta.text;
+                onChunk(content);
+            } else if (data.type === 'message_delta') {
+                if (data.delta?.stop_reason) {
+                    finishReason = this.mapStopReason(data.delta.stop_reason);
+                }
+                if (data.usage) {
+                    usage.outputTokens = data.usage.output_tokens || 0;
+                }
+            } else if (data.type === 'message_stop') {
+                finished = true;
+            }
+        });
+
+        if (!finished) {
+            throw new ProviderError('Connection closed before the reply finished generating');
+        }
+
+        return { content, finishReason, usage };
+    }
+
+    // Normalize to the OpenAI finish_reason vocabulary
+    mapStopReason(reason) {
+        return reason === 'max_tokens' ? 'length' : 'stop';
+    }
+
+    parseModels(data) {
+        return (data.data || []).map(m => ({
+            id: m.id,
+            name: m.display_name || m.id,
+            created: m.created_at ? Date.parse(m.created_at) / 1000 : undefined
+        }));
+    }
+}
+
+// Offline provider that returns canned pages, for exercising the browser
+// without any network. Requests that are not page generations get "{}".
+class MockProvider extends LLMProvider {
+    async complete(messages, options) {
+        const prompt = messages[messages.length - 1].content;
+        const match = prompt.match(/^Generate an HTML page for the following URL: (\S+)/);
+        const content = match ? this.renderPage(match[1]) : '{}';
+
+        if (options.onChunk) {
+            // Stream in small pieces so progressive rendering can be seen
+            const size = Math.ceil(content.length / 20);
+            for (let i = size; i < content.length + size; i += size) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+                options.signal?.throwIfAborted();
+                options.onChunk(content.slice(0, i));
+            }
+        }
+
+        // Roughly four characters to a token, so usage tracking has numbers to show
+        const inputTokens = Math.ceil(messages.reduce((total, m) => total + m.content.length, 0) / 4);
+        return { content, finishReason: 'stop', usage: { inputTokens, outputTokens: Math.ceil(content.length / 4) } };
+    }
+
+    async fetchModels() {
+        return [{ id: 'mock', name: 'Mock pages (offline)' }];
+    }
+
+    renderPage(url) {
+        let host = url;
+        let path = '/';
+        try {
+            const urlObj = new URL(url);
+            host = urlObj.hostname;
+            path = urlObj.pathname + urlObj.search;
+        } catch {
+            // Keep the raw string
+        }
+
+        const escape = (text) => text.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+        const links = ['/', '/about', '/products', '/blog', '/contact']
+            .map(href => `<a href="${href}">${href === '/' ? 'Home' : href.slice(1)}</a>`)
+            .join(' ');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<title>${escape(host)} - ${escape(path)}</title>
+<style>
+body { font-family: sans-serif; margin: 0; color: #222; }
+header { background: #334; color: #fff; padding: 16px 24px; }
+header a { color: #cde; margin-right: 12px; }
+main { padding: 24px; max-width: 720px; }
+form { margin: 16px 0; }
+</style>
+</head>
+<body>
+<header><strong>${escape(host)}</strong> <nav>${links}</nav></header>
+<main>
+<h1>${escape(path)}</h1>
+<p>This is a canned page from the mock provider. No model was called.</p>
+<form action="/search" method="GET"><input name="q" placeholder="Search"><button>Search</button></form>
+<form action="/login" method="POST"><input name="user" placeholder="User"><input name="password" type="password"><button>Log in</button></form>
+<ul>
+<li><a href="/article/1/first-post">First post</a></li>
+<li><a href="/article/2/second-post">Second post</a></li>
+<li><a href="https://example.org/">Another site</a></li>
+</ul>
+</main>
+</body>
+</html>`;
+    }
+}
+
+// Builds the provider described by settings, applying any overrides
+function createProvider(settings) {
+    const id = PROVIDER_PRESETS[settings.provider] ? settings.provider : 'openrouter';
+    const preset = PROVIDER_PRESETS[id];
+    const config = {
+        ...preset,
+        baseUrl: settings.baseUrl || preset.baseUrl,
+        authScheme: settings.authScheme || preset.authScheme,
+        modelsPath: settings.modelsPath || preset.modelsPath,
+        apiKey: settings.apiKey
+    };
+
+    if (preset.format === 'anthropic') return new AnthropicProvider(id, config);
+    if (preset.format === 'mock') return new MockProvider(id, config);
+    return new OpenAIProvider(id, config);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROVIDER_PRESETS, ProviderError, LLMProvider, OpenAIProvider, AnthropicProvider, MockProvider, createProvider };
+}
@@ -29,6 +29,7 @@ This is the most important rule: **ALL UI elements must be fully functional and
 - The search input should have name="q" (or appropriate parameter name for the site)
 - When users type and submit, they should be taken to a search results page
 - Login forms, contact forms, newsletter signups - make them all functional with appropriate action URLs
+- Forms that submit data (login, comments, checkout, contact) should use method="POST" with named fields; the user will see the page the site returns for that submission
 
 ### Buttons & Interactive Elements
 - Buttons that would navigate somewhere should be links styled as buttons, OR use onclick to navigate
@@ -72,6 +73,8 @@ Good - Functional product grid:
 - The HTML should be a complete document starting with <!DOCTYPE html>
 - Include inline CSS in a <style> tag (no external stylesheets)
 - Include inline JavaScript in <script> tags if needed for UI interactions (dropdowns, modals, tabs)
+- Scripts may load data with fetch() or XMLHttpRequest from the site's own API paths (e.g. /api/search?q=...); the browser simulates the server's responses
+- Images are drawn by the browser from their alt text: give every <img> a descriptive alt and width/height attributes (the src is never loaded)
 - Do NOT include any text before or after the HTML
 
 ## URL Interpretation
@@ -224,7 +227,143 @@ You are now generating pages for a MOBILE device (smartphone). This changes ever
 - Forms should be simple and easy to complete with a mobile keyboard
 - The overall experience should feel native to mobile apps`;
 
+// Prompt for summarizing a generated page into a per-domain "site bible"
+const SITE_BIBLE_PROMPT = `You analyze the first HTML page generated for a fictional website and record its identity so later pages on the same site stay consistent.
+
+Respond with ONLY a JSON object (no markdown, no code fences) in this exact shape:
+{
+  "name": "The site's brand name",
+  "palette": ["#hex", "#hex", "#hex"],
+  "nav": ["Label -> /path", "Label -> /path"],
+  "entities": ["Recurring person, product, or section and a few words about it"],
+  "notes": "One or two sentences on layout, tone and typography"
+}
+
+- palette: the 3-6 colors that define the look (header, accent, background, text)
+- nav: the main navigation menu in order, with the href each item points to
+- entities: people, products, columns or other named things likely to appear again (at most 10)
+- Keep every value short and factual; describe only what is in the page`;
+
+// Device addenda - appended for the device profiles other than desktop and
+// phone, which uses the prompt profile's mobile addendum
+const DEVICE_PROMPT_ADDENDA = {
+    tablet: `
+
+## TABLET DEVICE MODE
+
+You are generating pages for a TABLET (about 820x1180 in portrait, often rotated to landscape).
+
+- Include: <meta name="viewport" content="width=device-width, initial-scale=1.0">
+- Use layouts that work from 820px to 1180px wide: two columns at most, with a sidebar or split view where the site would have one
+- Touch-friendly: targets at least 44x44 pixels, no hover-only menus or tooltips
+- Navigation as a top bar or side rail rather than a hamburger menu
+- Generous spacing and medium-sized type; imagery can be large`,
+
+    ereader: `
+
+## E-READER DEVICE MODE
+
+You are generating pages for an E-INK E-READER (about 632x840, grayscale, slow to refresh).
+
+- Include: <meta name="viewport" content="width=device-width, initial-scale=1.0">
+- Grayscale only: black text on a white or light grey background, no colors
+- No animations, transitions, videos, carousels or anything that moves
+- Reading first: a single column of large serif body text (18px or more) with generous line height
+- Keep images few and simple, and chrome minimal - a slim header and plain text links
+- Long content is split into pages with "Next page" / "Previous page" links rather than endless scrolling`,
+
+    terminal: `
+
+## TEXT TERMINAL MODE
+
+You are generating pages for a TEXT-ONLY TERMINAL BROWSER, like Lynx on an 80x24 terminal (about 800x480).
+
+- Style the whole page as a terminal: monospace font, light text on a black background, at most two accent colors
+- No images, icons, background pictures, gradients, shadows or rounded corners - describe pictures in [brackets] instead
+- Lay everything out in a single column of at most 80 characters; use ASCII rules (----, ====) and [ ] brackets for structure and buttons
+- Links are underlined or bracketed text, numbered like [1] where it helps
+- Forms are plain labeled text inputs and [Submit] buttons
+- No JavaScript-driven widgets beyond what a text browser could show`,
+
+    tv: `
+
+## SMART TV MODE
+
+You are generating pages for a SMART TV (1920x1080, seen from across the room and controlled with a remote's arrow keys).
+
+- Include: <meta name="viewport" content="width=1920">
+- The "10-foot UI": large type (at least 28px body text), high contrast, bold imagery, a dark background
+- Lay content out as horizontal rows of large tiles or cards, like a streaming service's home screen
+- Everything interactive must be reachable with the arrow keys and Enter: use links and buttons, make focus states large and obvious, and add a small script that moves focus between items with the arrow keys
+- Keep text short - no dense paragraphs, tiny links or long forms
+- Keep important content inside a 5% safe margin from every edge`
+};
+
+// Content policy addenda - appended for the policies other than unrestricted.
+// They come last so they override the simulation parameters above.
+const CONTENT_POLICY_ADDENDA = {
+    sfw: `
+
+## CONTENT POLICY: SAFE FOR WORK - THIS OVERRIDES EVERYTHING ABOVE
+
+These pages are shown at work, in meetings and in demos. Simulate sites authentically in every other way, but:
+
+- No sexual content, nudity, pornography or sexually suggestive images, text or ads
+- No graphic violence, gore or shock content
+- No slurs, hate speech or harassment; keep strong profanity out
+- No instructions for drugs, weapons or self-harm
+- If the URL belongs to an adult or otherwise unsuitable site, generate a plain, tasteful page instead - such as an age gate, a "this site is unavailable" notice or a neutral company page - with nothing explicit on it`,
+
+    kids: `
+
+## CONTENT POLICY: KIDS - THIS OVERRIDES EVERYTHING ABOVE
+
+These pages are read by children aged about 6 to 12. Simulate sites authentically in every other way, but:
+
+- Everything must be suitable for children: no sexual content, romance beyond holding hands, violence, gore, horror, crime details, drugs, alcohol, tobacco, gambling or weapons
+- No profanity, insults, scary content or upsetting news; keep news light and positive
+- No ads for adult products, dating, loans or gambling, and no links to adult or social media sites
+- Never ask for personal information - no sign-up forms asking for names, addresses, phone numbers or photos
+- Use friendly, simple language and a bright, welcoming design
+- If the URL belongs to a site that isn't for children, generate a friendly page saying the site is for grown-ups, with links to fun, educational places to go instead`
+};
+
+// Era addendum - appended when browsing the web as of an earlier year;
+// {year} is replaced with the year
+const ERA_PROMPT_ADDENDUM = `
+
+## ERA MODE - THE YEAR IS {year}
+
+Generate the page as the site looked in {year}, not as it looks today.
+
+- **Design**: use the layout, typography, colors and imagery that were typical of the web in {year} - and of this site in particular, if it existed then
+- **Technology**: only show features the site could have had in {year}. Imitate period techniques in the look (table layouts, beveled buttons, hit counters, Flash-era splash pages, early CSS) but still write HTML, CSS and JavaScript that work in a modern browser
+- **Content**: products, prices, news, people, dates and copyright notices all belong to {year}. Nothing that happened after {year} may be mentioned, and prices are in {year}'s money
+- **Links**: keep generating links and forms as usual; they lead to other pages from {year}
+- If the site did not exist yet in {year}, show what was at this address then: an older site, a domain parking page or an "under construction" page`;
+
+// Prompt for answering fetch/XMLHttpRequest calls made by generated pages
+const API_RESPONSE_PROMPT = `You are the backend server of a fictional website. JavaScript on one of the site's pages made an HTTP request; answer it the way the site's server would.
+
+Respond with ONLY a JSON object (no markdown, no code fences) in this exact shape:
+{
+  "status": 200,
+  "contentType": "application/json",
+  "body": {}
+}
+
+- body: for JSON responses, the JSON value itself; for HTML fragments or plain text, a string
+- Read the page's scripts to see how the response is used and return exactly the fields, nesting and types they expect
+- Stay consistent with the page: the same products, people, prices and counts it already shows
+- Use realistic, specific content - never lorem ipsum or placeholder values
+- Only use an error status when the request itself calls for one (a wrong password, an item that doesn't exist)
+- Keep it small: at most 20 items in a list`;
+
+// Sent after a page reply that was cut off, with the partial page as the
+// assistant's previous message
+const CONTINUE_PAGE_PROMPT = `Your reply was cut off before the page was finished. Continue the HTML from exactly where it stopped: do not repeat anything already written, do not start over, and do not use markdown code fences. Finish the page, ending with </html>.`;
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { SYSTEM_PROMPT, MOBILE_PROMPT_ADDENDUM };
+    module.exports = { SYSTEM_PROMPT, MOBILE_PROMPT_ADDENDUM, SITE_BIBLE_PROMPT, DEVICE_PROMPT_ADDENDA, CONTENT_POLICY_ADDENDA, ERA_PROMPT_ADDENDUM, API_RESPONSE_PROMPT, CONTINUE_PAGE_PROMPT };
 }